@@ -24,6 +24,11 @@
      * This auditor allows our Bot Server to be aware of disconnections
      * and broken Websocket subscriptions (happening without errors..)
      *
+     * The signature of every saved block is recorded, its hash is read from
+     * the `prevBlockHash` of the next block. When the block or the hash of a
+     * saved height changes, the chain was re-organised and the `onChainReorg`
+     * method of the audited module is called with the first height that changed.
+     *
      * @author  Grégory Saive <greg@evias.be> (https://github.com/evias)
      */
     var BlocksAuditor = function(auditModule) {
@@ -44,6 +49,7 @@
         this.db_ = this.module_.db_;
         this.nemsocket_ = this.module_.nemsocket_;
         this.nemSubscriptions_ = {};
+        this.aliveInterval_ = null;
 
         this.logger = function() {
             return this.blockchain_.logger();
@@ -54,45 +60,214 @@
         };
 
         /**
-         * The autoSwitchNode() method will automatically select the 
-         * next NEM endpoint Host and Port from the configuration file.
-         * 
-         * This method is called whenever the websocket connection can't 
-         * read blocks or hasn't read blocks in more than 5 minutes.
-         * 
+         * Notify the audited module about a new block. Modules can implement
+         * an `onNewBlock` method to be notified, e.g. for counting confirmations.
+         *
+         * @param   {Integer}   blockHeight
          * @return  {BlocksAuditor}
          */
-        this.autoSwitchSocketNode = function() {
+        this.notifyNewBlock = function(blockHeight) {
+            if (typeof this.module_.onNewBlock == "function")
+                this.module_.onNewBlock(blockHeight);
+
+            return this;
+        };
+
+        /**
+         * Get the maximum count of blocks to walk back when looking for
+         * the fork height of a chain re-organisation. NIS does not roll
+         * back more than 360 blocks.
+         *
+         * @return  {Integer}
+         */
+        this.getMaxReorgDepth = function() {
+            var conf = this.config().bot.reorg || {};
+            return parseInt(conf.maxDepth) || 360;
+        };
+
+        /**
+         * Notify the audited module about a chain re-organisation. Modules
+         * can implement an `onChainReorg` method to re-validate transactions
+         * included at or after `forkHeight`.
+         *
+         * @param   {Integer}   forkHeight  First block height which changed
+         * @return  {BlocksAuditor}
+         */
+        this.notifyChainReorg = function(forkHeight) {
+            this.logger().warn("[NEM] [" + this.module_.logLabel + "] [AUDIT]", __line, "Chain re-organisation detected from block height " + forkHeight + ".");
+
+            if (typeof this.module_.onChainReorg == "function")
+                this.module_.onChainReorg(forkHeight);
+
+            return this;
+        };
+
+        /**
+         * Read a block with the HTTP API.
+         *
+         * @param   {Integer}   blockHeight
+         * @param   {Function}  callback    Called with the NIS block or `null` on error
+         * @return  void
+         */
+        this.readBlock = function(blockHeight, callback) {
+            var self = this;
+
+            self.blockchain_.nem()
+                .com.requests.block.atHeight(self.blockchain_.endpoint(), blockHeight)
+                .then(function(res) {
+                    return callback(res);
+                }, function(err) {
+                    self.logger().error("[NEM] [" + self.module_.logLabel + "] [AUDIT]", __line, "NIS API block.atHeight Error: " + JSON.stringify(err));
+                    return callback(null);
+                });
+        };
+
+        /**
+         * Save a block read from the websocket or the HTTP API. Only new
+         * block heights are notified with `notifyNewBlock`.
+         *
+         * The `signature` of the block is saved as `blockSignature`, it identifies
+         * the block at this height. The `prevBlockHash` of the block is the hash
+         * of the previous block height, it is compared with the saved hash with
+         * `auditBlockHash`. When the block data is not complete (websocket
+         * payload), the block is read with the HTTP API.
+         *
+         * @param   {Integer}   blockHeight
+         * @param   {Object}    blockData   NIS block with `signature` and `prevBlockHash`
+         * @return  void
+         */
+        this.saveBlock = function(blockHeight, blockData = null) {
             var self = this;
-            // unsubscribe & disconnect, then re-issue connection
-            self.module_.disconnectBlockchainSocket(function() {
-                var currentHost = self.blockchain_.node_.host;
-
-                // iterate nodes and connect to first 
-                var nodesList = self.blockchain_.conf_.nem["nodes" + self.blockchain_.confSuffix];
-                var nextHost = null;
-                var nextPort = null;
-                do {
-                    var cntNodes = nodesList.length;
-                    var randomIdx = Math.floor(Math.random() * (cntNodes - 1));
-
-                    nextHost = nodesList[randomIdx].host;
-                    nextPort = nodesList[randomIdx].port;
+
+            if (!blockData || !blockData.signature || !blockData.prevBlockHash) {
+                return self.readBlock(blockHeight, function(blockData) {
+                    if (blockData)
+                        self.saveBlock(blockHeight, blockData);
+                });
+            }
+
+            var prevBlockHash = blockData.prevBlockHash.data;
+
+            // check whether this block already exists or create
+            var bkQuery = { moduleName: self.module_.moduleName, blockHeight: blockHeight };
+            self.db_.NEMBlockHeight.findOne(bkQuery, function(err, block) {
+                if (err)
+                    return self.logger().error("[NEM] [" + self.module_.logLabel + "] [AUDIT]", __line, "DB Read error for NEMBlockHeight: " + err);
+
+                var isNew = !block;
+                if (isNew) {
+                    block = new self.db_.NEMBlockHeight({
+                        blockHeight: blockHeight,
+                        moduleName: self.module_.moduleName,
+                        createdAt: new Date().valueOf()
+                    });
                 }
-                while (nextHost == currentHost);
 
-                self.logger().info("[NEM] [" + self.module_.logLabel + "] [AUDIT]", __line, "Socket now switching to Node: " + nextHost + ":" + nextPort + ".");
+                // another block was delivered for this height
+                var isReplaced = !isNew && block.blockSignature && block.blockSignature !== blockData.signature;
+
+                block.blockSignature = blockData.signature;
+                block.prevBlockHash = prevBlockHash;
+                if (isReplaced)
+                // the hash of the new block is read with the next block
+                    block.blockHash = null;
 
-                // connect to node
-                self.blockchain_.node_ = self.blockchain_.nem_.model.objects.create("endpoint")(nextHost, nextPort);
-                self.blockchain_.nemHost = nextHost;
-                self.blockchain_.nemPort = nextPort;
-                self.module_.blockchain_ = self.blockchain_;
+                block.save(function(err) {
+                    if (err) {
+                        return self.logger().error("[NEM] [" + self.module_.logLabel + "] [AUDIT]", __line, "Error saving NEMBlockHeight object: " + err);
+                    }
 
-                self.module_.connectBlockchainSocket();
+                    if (isReplaced)
+                        return self.auditBlockHash(blockHeight - 1, prevBlockHash, 1, blockHeight);
+
+                    self.auditBlockHash(blockHeight - 1, prevBlockHash);
+
+                    if (isNew)
+                        self.notifyNewBlock(block.blockHeight);
+                });
             });
+        };
 
-            return self;
+        /**
+         * Compare the saved hash of a block height with `blockHash`. In case
+         * the hash changed, the previous heights are audited too (reading the
+         * blocks with the HTTP API) until a height with an unchanged hash is
+         * found or `getMaxReorgDepth` is reached, then `notifyChainReorg` is
+         * called with the first height that changed.
+         *
+         * When the hash of a height is read for the first time, the block is
+         * read again and its signature is compared with the saved
+         * `blockSignature`, such that replaced blocks are detected before
+         * their hash was known.
+         *
+         * @param   {Integer}   blockHeight
+         * @param   {String}    blockHash
+         * @param   {Integer}   depth       (Internal) Count of heights audited
+         * @param   {Integer}   forkHeight  (Internal) Lowest height which changed
+         * @return  void
+         */
+        this.auditBlockHash = function(blockHeight, blockHash, depth = 0, forkHeight = null) {
+            var self = this;
+            var reorgFound = function() {
+                if (forkHeight !== null)
+                    self.notifyChainReorg(forkHeight);
+            };
+
+            var bkQuery = { moduleName: self.module_.moduleName, blockHeight: blockHeight };
+            self.db_.NEMBlockHeight.findOne(bkQuery, function(err, block) {
+                if (err)
+                    return self.logger().error("[NEM] [" + self.module_.logLabel + "] [AUDIT]", __line, "DB Read error for NEMBlockHeight: " + err);
+
+                if (!block || block.blockHash === blockHash)
+                // height not saved or unchanged, blocks after this height changed.
+                    return reorgFound();
+
+                var isChanged = !!block.blockHash;
+                block.blockHash = blockHash;
+                block.save(function(err) {
+                    if (err)
+                        return self.logger().error("[NEM] [" + self.module_.logLabel + "] [AUDIT]", __line, "Error saving NEMBlockHeight object: " + err);
+
+                    self.readBlock(blockHeight, function(blockData) {
+                        if (!blockData)
+                        // can't walk back, this height is the lowest we know changed.
+                            return isChanged ? self.notifyChainReorg(blockHeight) : reorgFound();
+
+                        if (!isChanged && (!block.blockSignature || block.blockSignature === blockData.signature))
+                        // first time we read the hash of this height, same block as saved.
+                            return reorgFound();
+
+                        block.blockSignature = blockData.signature;
+                        block.prevBlockHash = blockData.prevBlockHash.data;
+                        block.save(function(err) {
+                            if (err)
+                                self.logger().error("[NEM] [" + self.module_.logLabel + "] [AUDIT]", __line, "Error saving NEMBlockHeight object: " + err);
+
+                            if (depth + 1 >= self.getMaxReorgDepth())
+                                return self.notifyChainReorg(blockHeight);
+
+                            // block changed, audit the previous height
+                            self.auditBlockHash(blockHeight - 1, blockData.prevBlockHash.data, depth + 1, blockHeight);
+                        });
+                    });
+                });
+            });
+        };
+
+        /**
+         * The autoSwitchNode() method will automatically select the
+         * best healthy NEM node of the NodePool, the current node is
+         * reported as failed and only used again when no other node
+         * is available (see SocketErrorHandler.switchNode).
+         *
+         * This method is called whenever the websocket connection can't
+         * read blocks or hasn't read blocks in more than 5 minutes.
+         *
+         * @return  {BlocksAuditor}
+         */
+        this.autoSwitchSocketNode = function() {
+            this.module_.getErrorHandler().switchNode("No blocks received");
+            return this;
         };
 
         /**
@@ -114,22 +289,7 @@
                     var parsed = JSON.parse(message.body);
                     self.logger().info("[NEM] [" + self.module_.logLabel + "] [AUDIT]", __line, 'new_block(' + JSON.stringify(parsed) + ')');
 
-                    // check whether this block already exists or save
-                    var bkQuery = { moduleName: self.module_.moduleName, blockHeight: parsed.height };
-                    self.db_.NEMBlockHeight.findOne(bkQuery, function(err, block) {
-                        if (!err && !block) {
-                            block = new self.db_.NEMBlockHeight({
-                                blockHeight: parsed.height,
-                                moduleName: self.module_.moduleName,
-                                createdAt: new Date().valueOf()
-                            });
-                            block.save(function(err) {
-                                if (err) {
-                                    self.logger().error("[NEM] [" + self.module_.logLabel + "] [AUDIT]", __line, "Error saving NEMBlockHeight object: " + err);
-                                }
-                            });
-                        }
-                    });
+                    self.saveBlock(parsed.height, parsed);
                 });
 
             } catch (e) {
@@ -158,7 +318,10 @@
 
             // add fallback checker for Block Times, if we didn't get a block
             // in more than 5 minutes, change Endpoint.
-            var aliveInterval = setInterval(function() {
+            if (self.aliveInterval_ !== null)
+                clearInterval(self.aliveInterval_);
+
+            self.aliveInterval_ = setInterval(function() {
 
                 // fetch blocks from DB to get the latest time of fetch
                 self.db_.NEMBlockHeight.findOne({ moduleName: self.module_.moduleName }, null, { sort: { blockHeight: -1 } }, function(err, block) {
@@ -166,7 +329,7 @@
                         // error happened
                         self.logger().warn("[NEM] [" + self.module_.logLabel + "] [AUDIT] [ERROR]", __line, "DB Read error for NEMBlockHeight: " + err);
 
-                        clearInterval(aliveInterval);
+                        clearInterval(self.aliveInterval_);
                         self.subscribeToBlockUpdates();
                         return false;
                     }
@@ -176,10 +339,10 @@
                     if (!block || block.createdAt <= limitAge) {
                         // need to switch node.
                         try {
-                            self.logger().warn("[NEM] [" + self.module_.logLabel + "] [AUDIT]", __line, "Socket connection lost with node: " + JSON.stringify(self.blockchain_.node_.host) + ".. Now hot-switching Node.");
+                            self.logger().warn("[NEM] [" + self.module_.logLabel + "] [AUDIT]", __line, "Socket connection lost with node: " + JSON.stringify(self.blockchain_.endpoint().host) + ".. Now hot-switching Node.");
 
                             // autoSwitchNode will also re-initialize the Block Auditor
-                            clearInterval(aliveInterval);
+                            clearInterval(self.aliveInterval_);
 
                             // after connection was established to new node, we should fetch
                             // the last block height to start fresh.
@@ -208,7 +371,7 @@
         };
 
         /**
-         * This method uses the SDK to fetch the latest block height
+         * This method uses the SDK to fetch the latest block
          * from the NEM blockchain Node configured in `this.blockchain_`.
          * 
          * @return void
@@ -216,34 +379,33 @@
         this.websocketFallbackHandler = function() {
             var self = this;
 
-            // fetch the latest block height and save in database
+            // fetch the latest block and save in database
             self.blockchain_.nem()
-                .com.requests.chain.height(self.blockchain_.endpoint())
+                .com.requests.chain.lastBlock(self.blockchain_.endpoint())
                 .then(function(res) {
 
-                    self.logger().info("[NEM] [" + self.module_.logLabel + "] [AUDIT-FALLBACK]", __line, 'new_block(' + JSON.stringify(res) + ')');
-
-                    // check whether this block already exists or create
-                    var bkQuery = { moduleName: self.module_.moduleName, blockHeight: res.height };
-                    self.db_.NEMBlockHeight.findOne(bkQuery, function(err, block) {
-                        if (!err && !block) {
-                            block = new self.db_.NEMBlockHeight({
-                                blockHeight: res.height,
-                                moduleName: self.module_.moduleName,
-                                createdAt: new Date().valueOf()
-                            });
-                            block.save(function(err) {
-                                if (err) {
-                                    self.logger().error("[NEM] [" + self.module_.logLabel + "] [AUDIT]", __line, "Error saving NEMBlockHeight object: " + err);
-                                }
-                            });
-                        }
-                    });
+                    self.logger().info("[NEM] [" + self.module_.logLabel + "] [AUDIT-FALLBACK]", __line, 'new_block(' + JSON.stringify({ height: res.height }) + ')');
+
+                    self.saveBlock(res.height, res);
                 }, function(err) {
-                    self.logger().error("[NEM] [" + self.module_.logLabel + "] [AUDIT-FALLBACK]", __line, "NIS API chain.height Error: " + JSON.stringify(err));
+                    self.logger().error("[NEM] [" + self.module_.logLabel + "] [AUDIT-FALLBACK]", __line, "NIS API chain.lastBlock Error: " + JSON.stringify(err));
                 });
         };
 
+        /**
+         * Stop auditing blocks. This is called before a new BlocksAuditor
+         * is created for a new websocket connection.
+         *
+         * @return  {BlocksAuditor}
+         */
+        this.stop = function() {
+            if (this.aliveInterval_ !== null)
+                clearInterval(this.aliveInterval_);
+
+            this.aliveInterval_ = null;
+            return this;
+        };
+
         var self = this; {
             // when the BlocksAuditor is instantiated it should start
             // auditing for blocks right a way.
@@ -0,0 +1,405 @@
+/**
+ * Part of the evias/nem-nodejs-bot package.
+ *
+ * NOTICE OF LICENSE
+ *
+ * Licensed under MIT License.
+ *
+ * This source file is subject to the MIT License that is
+ * bundled with this package in the LICENSE file.
+ *
+ * @package    evias/nem-nodejs-bot
+ * @author     Grégory Saive <greg@evias.be> (https://github.com/evias)
+ * @license    MIT License
+ * @copyright  (c) 2017, Grégory Saive <greg@evias.be>
+ * @link       https://github.com/evias/nem-nodejs-bot
+ */
+
+(function() {
+
+    var nemAPI = require("nem-api");
+    var BlocksAuditor = require("./blocks-auditor.js").BlocksAuditor;
+    var SocketErrorHandler = require("./socket-error-handler.js").SocketErrorHandler;
+
+    /**
+     * class ConnectionManager owns the single NIS websocket connection
+     * of the NEMBot. Modules (PaymentProcessor, MultisigCosignatory) do
+     * not open websockets themselves, they register handlers for websocket
+     * channels with `subscribe` instead.
+     *
+     * Subscriptions are multiplexed: one websocket subscription is opened by
+     * channel and every message is dispatched to the handlers of all modules.
+     * Subscriptions are kept when the connection is lost and restored after
+     * a reconnect, also when the BlocksAuditor switches to another node.
+     *
+     * The BlocksAuditor of the connection publishes one canonical block
+     * stream: blocks are saved once as NEMBlockHeight (moduleName `nem-socket`)
+     * and the `onNewBlock` method of all registered modules is called. Chain
+     * re-organisations are forwarded to the `onChainReorg` method of modules.
+     *
+     * @author  Grégory Saive <greg@evias.be> (https://github.com/evias)
+     */
+    var ConnectionManager = function(chainDataLayer) {
+        var api_ = nemAPI;
+
+        this.blockchain_ = chainDataLayer;
+        this.db_ = this.blockchain_.getDatabaseAdapter();
+
+        this.nemsocket_ = null;
+        this.nemConnection_ = null;
+        this.isConnected_ = false;
+        this.subscriptions_ = {};
+        this.modules_ = {};
+
+        this.auditor_ = null;
+        this.errorHandler_ = null;
+        this.moduleName = "nem-socket";
+        this.logLabel = "NEM-SOCKET";
+
+        this.logger = function() {
+            return this.blockchain_.logger();
+        };
+
+        this.config = function() {
+            return this.blockchain_.conf_;
+        };
+
+        this.getAuditor = function() {
+            return this.auditor_;
+        };
+
+        this.getErrorHandler = function() {
+            return this.errorHandler_;
+        };
+
+        /**
+         * Get the websocket endpoint currently connected.
+         *
+         * @return {String|null}
+         */
+        this.getSocketHost = function() {
+            return this.nemsocket_ ? this.nemsocket_.socketpt : null;
+        };
+
+        /**
+         * Whether the websocket is currently connected.
+         *
+         * @return {Boolean}
+         */
+        this.isConnected = function() {
+            return this.nemsocket_ !== null && this.isConnected_;
+        };
+
+        /**
+         * Register a module to be notified about new blocks. Modules
+         * can implement an `onNewBlock(blockHeight)` method.
+         *
+         * @param  {Object}     module      Module with a `moduleName`
+         * @return {ConnectionManager}
+         */
+        this.register = function(module) {
+            this.modules_[module.moduleName] = module;
+            return this;
+        };
+
+        /**
+         * Connect the websocket in case it is not connected yet.
+         *
+         * @return {ConnectionManager}
+         */
+        this.connect = function() {
+            if (this.nemsocket_ === null)
+                this.connectBlockchainSocket();
+
+            return this;
+        };
+
+        /**
+         * Open the connection to a Websocket to the NEM Blockchain endpoint configured
+         * through ```this.blockchain_```. All registered subscriptions are restored
+         * when the connection is established.
+         *
+         * @return {nemAPI}
+         */
+        this.connectBlockchainSocket = function() {
+            var self = this;
+
+            // initialize the socket connection with the current
+            // blockchain instance connected endpoint
+            self.isConnected_ = false;
+            self.nemsocket_ = new api_(self.blockchain_.getNetwork().host + ":" + self.blockchain_.getNetwork().port);
+
+            self.errorHandler_.onConnecting();
+
+            // Connect to NEM Blockchain Websocket now
+            self.nemConnection_ = self.nemsocket_.connectWS(function() {
+                try {
+                    self.logger().info("[NEM] [" + self.logLabel + "] [CONNECT]", __line, "Connection established with node: " + JSON.stringify(self.nemsocket_.socketpt));
+
+                    self.isConnected_ = true;
+                    self.errorHandler_.onConnected();
+
+                    // new connection, previous subscriptions are not valid anymore
+                    for (var uri in self.subscriptions_)
+                        self.subscriptions_[uri].id = null;
+
+                    if (self.auditor_ !== null)
+                        self.auditor_.stop();
+
+                    self.auditor_ = new BlocksAuditor(self);
+
+                    self.restoreSubscriptions();
+                } catch (e) {
+                    // On Exception, restart connection process
+                    self.logger().error("[NEM] [" + self.logLabel + "] [ERROR]", __line, "Websocket Subscription Error: " + e);
+                    self.connectBlockchainSocket();
+                }
+            }, self.errorHandler_.handle);
+
+            return self.nemsocket_;
+        };
+
+        /**
+         * Open the websocket subscriptions of all registered channels.
+         *
+         * @return {ConnectionManager}
+         */
+        this.restoreSubscriptions = function() {
+            for (var uri in this.subscriptions_)
+                this.openSubscription(uri);
+
+            return this;
+        };
+
+        /**
+         * Open the websocket subscription of a channel. Messages are
+         * dispatched to the handlers of all modules. Nothing is done
+         * when the websocket is not connected or the channel is
+         * subscribed already.
+         *
+         * @param  {String}     uri
+         * @return {Boolean}
+         */
+        this.openSubscription = function(uri) {
+            var self = this;
+            var subscription = self.subscriptions_[uri];
+
+            if (!self.isConnected() || !subscription || subscription.id !== null)
+                return false;
+
+            try {
+                self.logger().info("[NEM] [" + self.logLabel + "]", __line, 'subscribing to ' + uri + '.');
+                subscription.id = self.nemsocket_.subscribeWS(uri, function(message) {
+                    for (var moduleName in subscription.handlers) {
+                        try {
+                            subscription.handlers[moduleName](message);
+                        } catch (e) {
+                            self.logger().error("[NEM] [" + self.logLabel + "] [ERROR]", __line, "Error in " + moduleName + " handler for " + uri + ": " + e);
+                        }
+                    }
+                });
+            } catch (e) {
+                self.logger().error("[NEM] [" + self.logLabel + "] [ERROR]", __line, "Websocket Subscription Error for " + uri + ": " + e);
+                return false;
+            }
+
+            return true;
+        };
+
+        /**
+         * Subscribe a module to a websocket channel. The subscription is
+         * opened as soon as the websocket is connected.
+         *
+         * @param  {Object}     module      Module with a `moduleName`
+         * @param  {String}     uri         Websocket channel (e.g. /unconfirmed/ADDRESS)
+         * @param  {Function}   handler     Called with the websocket message
+         * @return {ConnectionManager}
+         */
+        this.subscribe = function(module, uri, handler) {
+            if (!this.subscriptions_.hasOwnProperty(uri))
+                this.subscriptions_[uri] = { id: null, handlers: {} };
+
+            this.subscriptions_[uri].handlers[module.moduleName] = handler;
+            this.openSubscription(uri);
+            return this;
+        };
+
+        /**
+         * Whether a module is subscribed to a websocket channel.
+         *
+         * @param  {Object}     module
+         * @param  {String}     uri
+         * @return {Boolean}
+         */
+        this.isSubscribed = function(module, uri) {
+            return this.subscriptions_.hasOwnProperty(uri) && this.subscriptions_[uri].handlers.hasOwnProperty(module.moduleName);
+        };
+
+        /**
+         * Unsubscribe a module from a websocket channel. The websocket
+         * subscription is closed when no module is subscribed anymore.
+         *
+         * @param  {Object}     module
+         * @param  {String}     uri
+         * @return {Boolean}
+         */
+        this.unsubscribe = function(module, uri) {
+            var self = this;
+
+            if (!self.isSubscribed(module, uri))
+                return false;
+
+            var subscription = self.subscriptions_[uri];
+            delete subscription.handlers[module.moduleName];
+
+            if (Object.keys(subscription.handlers).length)
+                return true;
+
+            if (subscription.id !== null && self.isConnected()) {
+                try {
+                    self.nemsocket_.unsubscribeWS(subscription.id);
+                } catch (e) {}
+            }
+
+            self.logger().info("[NEM] [" + self.logLabel + "]", __line, 'unsubscribed from ' + uri + '.');
+            delete self.subscriptions_[uri];
+            return true;
+        };
+
+        /**
+         * Unsubscribe a module from all websocket channels.
+         *
+         * @param  {Object}     module
+         * @return {ConnectionManager}
+         */
+        this.unsubscribeModule = function(module) {
+            for (var uri in this.subscriptions_)
+                this.unsubscribe(module, uri);
+
+            return this;
+        };
+
+        /**
+         * This method will close the websocket subscriptions and disconnect
+         * the websocket. The registered subscriptions are kept such that
+         * they are restored with the next `connectBlockchainSocket` call.
+         *
+         * @param  {Function}   callback
+         * @return void
+         */
+        this.disconnectBlockchainSocket = function(callback) {
+            var self = this;
+
+            var reset = function() {
+                for (var uri in self.subscriptions_)
+                    self.subscriptions_[uri].id = null;
+
+                self.nemsocket_ = null;
+                self.nemConnection_ = null;
+                self.isConnected_ = false;
+
+                if (callback)
+                    return callback();
+            };
+
+            if (!self.isConnected())
+                return reset();
+
+            try {
+                for (var uri in self.subscriptions_) {
+                    if (self.subscriptions_[uri].id !== null)
+                        self.nemsocket_.unsubscribeWS(self.subscriptions_[uri].id);
+                }
+
+                self.nemsocket_.disconnectWS(function() {
+                    self.logger().info("[NEM] [" + self.logLabel + "] [DISCONNECT]", __line, "Websocket disconnected.");
+                    return reset();
+                });
+            } catch (e) {
+                // hot disconnect
+                self.logger().info("[NEM] [" + self.logLabel + "] [DISCONNECT]", __line, "Websocket Hot Disconnect.");
+                return reset();
+            }
+        };
+
+        /**
+         * This method is called by the BlocksAuditor for every new block
+         * and notifies all registered modules.
+         *
+         * @param  {Integer}    blockHeight
+         * @return void
+         */
+        this.onNewBlock = function(blockHeight) {
+            for (var moduleName in this.modules_) {
+                var module = this.modules_[moduleName];
+
+                if (typeof module.onNewBlock == "function")
+                    module.onNewBlock(blockHeight);
+            }
+        };
+
+        /**
+         * This method is called by the BlocksAuditor when a chain
+         * re-organisation is detected and notifies all registered modules.
+         *
+         * @param  {Integer}    forkHeight  First block height which changed
+         * @return void
+         */
+        this.onChainReorg = function(forkHeight) {
+            for (var moduleName in this.modules_) {
+                var module = this.modules_[moduleName];
+
+                if (typeof module.onChainReorg == "function")
+                    module.onChainReorg(forkHeight);
+            }
+        };
+
+        /**
+         * This method is called by the SocketErrorHandler for every change
+         * of the connection state. The state is forwarded to the registered
+         * modules (`onConnectionState` method) and to connected backends
+         * with the `nembot_connection_state` socket.io event.
+         *
+         * @param  {Object}     connectionState
+         * @return void
+         */
+        this.onConnectionState = function(connectionState) {
+            for (var moduleName in this.modules_) {
+                var module = this.modules_[moduleName];
+
+                if (typeof module.onConnectionState == "function")
+                    module.onConnectionState(connectionState);
+            }
+
+            var cliSocketIo = this.blockchain_.getCliSocketIo();
+            if (cliSocketIo)
+                cliSocketIo.sockets.emit("nembot_connection_state", JSON.stringify(connectionState));
+        };
+
+        /**
+         * Read the last block of the canonical block stream.
+         *
+         * @param  {Function}   callback    Called with (err, NEMBlockHeight)
+         * @return void
+         */
+        this.getLastBlock = function(callback) {
+            this.db_.NEMBlockHeight.findOne({ moduleName: this.moduleName }, null, { sort: { blockHeight: -1 } }, callback);
+        };
+
+        var self = this; {
+            // the error handler is kept for all connections such that
+            // failures are counted across reconnects.
+            self.errorHandler_ = new SocketErrorHandler(self);
+            self.errorHandler_.on("connection_state", function(connectionState) {
+                self.onConnectionState(connectionState);
+            });
+
+            // NEM Websocket Error listening
+            self.subscribe(self, "/errors", function(message) {
+                self.logger().error("[NEM] [" + self.logLabel + "] [ERROR]", __line, "Error Happened: " + message.body);
+            });
+        }
+    };
+
+    module.exports.ConnectionManager = ConnectionManager;
+}());
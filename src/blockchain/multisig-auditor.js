@@ -0,0 +1,274 @@
+/**
+ * Part of the evias/nem-nodejs-bot package.
+ *
+ * NOTICE OF LICENSE
+ *
+ * Licensed under MIT License.
+ *
+ * This source file is subject to the MIT License that is
+ * bundled with this package in the LICENSE file.
+ *
+ * @package    evias/nem-nodejs-bot
+ * @author     Grégory Saive <greg@evias.be> (https://github.com/evias)
+ * @license    MIT License
+ * @copyright  (c) 2017, Grégory Saive <greg@evias.be>
+ * @link       https://github.com/evias/nem-nodejs-bot
+ */
+
+(function() {
+
+    /**
+     * class MultisigAuditor implements the auditing of Multi Signature
+     * accounts state for the read bot.
+     *
+     * The account info of the multisig accounts configured in
+     * `bot.read.multisigAudit.accounts` is fetched periodically and compared
+     * with the last NEMMultisigSnapshot of the account. Following changes
+     * produce alerts:
+     *
+     * - `cosignatories_changed` : The cosignatories set has changed
+     * - `min_cosignatories_changed` : The minimum cosignatories has changed
+     * - `balance_dropped` : The balance dropped by more than `balanceDropThreshold`
+     *
+     * Alerts are emitted to connected backends with the `nembot_multisig_alert`
+     * socket.io event and delivered to `bot.read.multisigAudit.notifyUrl`.
+     *
+     * @author  Grégory Saive <greg@evias.be> (https://github.com/evias)
+     */
+    var MultisigAuditor = function(chainDataLayer) {
+
+        this.blockchain_ = chainDataLayer;
+        this.db_ = this.blockchain_.getDatabaseAdapter();
+
+        this.worker_ = null;
+        this.logLabel = "MULTISIG-AUDIT";
+
+        this.logger = function() {
+            return this.blockchain_.logger();
+        };
+
+        this.config = function() {
+            return this.blockchain_.conf_;
+        };
+
+        /**
+         * Read the auditor configuration `bot.read.multisigAudit`.
+         *
+         * @return {Object}
+         */
+        this.getOptions = function() {
+            var conf = this.config().bot.read.multisigAudit || {};
+            var accounts = conf.accounts || [];
+
+            return {
+                "accounts": accounts.map(function(address) { return address.replace(/-/g, "").toUpperCase(); }),
+                "interval": parseInt(conf.interval) || 5 * 60 * 1000,
+                "balanceDropThreshold": parseInt(conf.balanceDropThreshold) || 0,
+                "notifyUrl": conf.notifyUrl || null
+            };
+        };
+
+        /**
+         * Fetch the account info of a multisig account and compare it with
+         * the last saved snapshot. A new snapshot is only saved when the
+         * state of the account changed.
+         *
+         * @param  {String}     multisigAddress
+         * @param  {Function}   callback    Called with the last NEMMultisigSnapshot
+         * @return void
+         */
+        this.auditAccount = function(multisigAddress, callback = null) {
+            var self = this;
+
+            self.blockchain_.nem().com.requests.account
+                .data(self.blockchain_.endpoint(), multisigAddress)
+                .then(function(res) {
+                    var info = res.account.multisigInfo || {};
+                    var cosignatories = (res.meta.cosignatories || []).map(function(cosig) {
+                        return cosig.publicKey;
+                    }).sort();
+
+                    var state = {
+                        multisigXEM: multisigAddress,
+                        cosignatories: cosignatories,
+                        minCosignatories: info.minCosignatories || 0,
+                        balance: res.account.balance
+                    };
+
+                    self.db_.NEMMultisigSnapshot.findOne({ multisigXEM: multisigAddress }, null, { sort: { createdAt: -1 } }, function(err, lastSnapshot) {
+                        if (err)
+                            return self.logger().error("[NEM] [" + self.logLabel + "] [ERROR]", __line, "Error reading NEMMultisigSnapshot: " + err);
+
+                        var alerts = lastSnapshot ? self.compareSnapshot(lastSnapshot, state) : [];
+                        state.balanceBaseline = self.getBalanceBaseline(lastSnapshot, state, alerts);
+
+                        if (lastSnapshot && !alerts.length && !self.isStateChanged(lastSnapshot, state))
+                        // nothing changed since the last snapshot
+                            return callback ? callback(lastSnapshot) : false;
+
+                        state.alerts = alerts.map(function(alert) { return alert.event; });
+                        state.createdAt = new Date().valueOf();
+
+                        var snapshot = new self.db_.NEMMultisigSnapshot(state);
+                        snapshot.save(function(err, snapshot) {
+                            if (err)
+                                return self.logger().error("[NEM] [" + self.logLabel + "] [ERROR]", __line, "Error saving NEMMultisigSnapshot: " + err);
+
+                            for (var i = 0; i < alerts.length; i++)
+                                self.emitAlert(snapshot, alerts[i]);
+
+                            if (callback)
+                                return callback(snapshot);
+                        });
+                    });
+                }, function(err) {
+                    self.logger().error("[NEM] [" + self.logLabel + "] [ERROR]", __line, "NIS API account.data Error: " + JSON.stringify(err));
+                });
+        };
+
+        /**
+         * Compare a snapshot with the current state of a multisig account.
+         *
+         * @param  {NEMMultisigSnapshot}    lastSnapshot
+         * @param  {Object}                 state
+         * @return {Array}      List of alerts `{event: String, data: Object}`
+         */
+        this.compareSnapshot = function(lastSnapshot, state) {
+            var options = this.getOptions();
+            var alerts = [];
+
+            var previous = lastSnapshot.cosignatories.slice().sort();
+            var added = state.cosignatories.filter(function(pubKey) { return previous.indexOf(pubKey) === -1; });
+            var removed = previous.filter(function(pubKey) { return state.cosignatories.indexOf(pubKey) === -1; });
+
+            if (added.length || removed.length)
+                alerts.push({ "event": "cosignatories_changed", "data": { "added": added, "removed": removed } });
+
+            if (lastSnapshot.minCosignatories !== state.minCosignatories)
+                alerts.push({ "event": "min_cosignatories_changed", "data": { "previous": lastSnapshot.minCosignatories, "current": state.minCosignatories } });
+
+            // balance drops are compared with the baseline such that a slow drain
+            // with drops below the threshold still produces an alert.
+            var baseline = this.getBalanceBaseline(lastSnapshot, null, []);
+            var balanceDrop = baseline - state.balance;
+            if (balanceDrop > 0 && balanceDrop > options.balanceDropThreshold)
+                alerts.push({ "event": "balance_dropped", "data": { "previous": baseline, "current": state.balance, "amount": balanceDrop } });
+
+            return alerts;
+        };
+
+        /**
+         * Get the balance baseline of a multisig account, this is the highest
+         * balance since the last `balance_dropped` alert. The baseline is reset
+         * to the current balance when a `balance_dropped` alert is emitted.
+         *
+         * @param  {NEMMultisigSnapshot|null}   lastSnapshot
+         * @param  {Object|null}                state       Current state, null for the baseline of `lastSnapshot`
+         * @param  {Array}                      alerts      Alerts of the current state
+         * @return {Integer}
+         */
+        this.getBalanceBaseline = function(lastSnapshot, state, alerts) {
+            var baseline = lastSnapshot ? lastSnapshot.balanceBaseline : undefined;
+            if (lastSnapshot && (baseline === undefined || baseline === null))
+            // snapshots saved by older versions have no baseline.
+                baseline = lastSnapshot.balance;
+
+            if (!state)
+                return baseline;
+
+            var isDropped = alerts.some(function(alert) { return alert.event == "balance_dropped"; });
+            if (!lastSnapshot || isDropped)
+                return state.balance;
+
+            return Math.max(baseline, state.balance);
+        };
+
+        /**
+         * Check whether the state of a multisig account differs from a snapshot.
+         *
+         * @param  {NEMMultisigSnapshot}    lastSnapshot
+         * @param  {Object}                 state
+         * @return {Boolean}
+         */
+        this.isStateChanged = function(lastSnapshot, state) {
+            var previous = lastSnapshot.cosignatories.slice().sort();
+
+            return previous.join(",") !== state.cosignatories.join(",") ||
+                lastSnapshot.minCosignatories !== state.minCosignatories ||
+                lastSnapshot.balance !== state.balance ||
+                lastSnapshot.balanceBaseline !== state.balanceBaseline;
+        };
+
+        /**
+         * Emit an alert with socket.io and queue its webhook delivery.
+         *
+         * @param  {NEMMultisigSnapshot}    snapshot
+         * @param  {Object}                 alert
+         * @return void
+         */
+        this.emitAlert = function(snapshot, alert) {
+            var self = this;
+            var eventData = {
+                "event": alert.event,
+                "multisig": snapshot.multisigXEM,
+                "data": alert.data,
+                "snapshot": snapshot.toDict()
+            };
+
+            self.logger().warn("[NEM] [" + self.logLabel + "] [ALERT]", __line, alert.event + "(" + snapshot.multisigXEM + "): " + JSON.stringify(alert.data));
+
+            var cliSocketIo = self.blockchain_.getCliSocketIo();
+            if (cliSocketIo)
+                cliSocketIo.sockets.emit("nembot_multisig_alert", JSON.stringify(eventData));
+
+            self.blockchain_.getWebhookDispatcher()
+                .enqueueEvent(self.getOptions().notifyUrl, alert.event, snapshot.multisigXEM, eventData);
+        };
+
+        /**
+         * Start auditing the configured multisig accounts.
+         *
+         * @return {MultisigAuditor}
+         */
+        this.start = function() {
+            var self = this;
+            var options = self.getOptions();
+
+            if (self.worker_ !== null)
+                clearInterval(self.worker_);
+
+            if (!options.accounts.length)
+                return self;
+
+            var auditAll = function() {
+                for (var i = 0; i < options.accounts.length; i++)
+                    self.auditAccount(options.accounts[i]);
+            };
+
+            self.worker_ = setInterval(auditAll, options.interval);
+            auditAll();
+
+            self.logger().info("[NEM] [" + self.logLabel + "]", __line, "Auditing multisig accounts: " + options.accounts.join(", ") + ".");
+            return self;
+        };
+
+        /**
+         * Stop auditing the configured multisig accounts.
+         *
+         * @return {MultisigAuditor}
+         */
+        this.stop = function() {
+            if (this.worker_ !== null)
+                clearInterval(this.worker_);
+
+            this.worker_ = null;
+            return this;
+        };
+
+        var self = this; {
+            // nothing more done on instanciation
+        }
+    };
+
+    module.exports.MultisigAuditor = MultisigAuditor;
+}());
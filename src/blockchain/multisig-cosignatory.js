@@ -17,9 +17,34 @@
 
 (function() {
 
-    var nemAPI = require("nem-api");
-    var BlocksAuditor = require("./blocks-auditor.js").BlocksAuditor;
-    var SocketErrorHandler = require("./socket-error-handler.js").SocketErrorHandler;
+    var SigningPolicy = require("./signing-policy.js").SigningPolicy;
+    var SpendingLimits = require("./spending-limits.js").SpendingLimits;
+
+    /**
+     * Rejection codes returned by MultisigCosignatory.verifyTransaction
+     * and saved in the NEMRejectedTransaction collection.
+     *
+     * @var {Object}
+     */
+    var RejectionCodes = {
+        "MALFORMED": "malformed_payload",
+        "NOT_MULTISIG": "not_multisig",
+        "WRONG_MULTISIG": "wrong_multisig",
+        "UNKNOWN_INITIATOR": "unknown_initiator",
+        "BAD_SIGNATURE": "bad_signature",
+        "SELF_REMOVAL": "self_removal",
+        "MIN_COSIGNATORIES_FLOOR": "min_cosignatories_floor"
+    };
+
+    var RejectionReasons = {
+        "malformed_payload": "The transaction data is incomplete or cannot be serialized.",
+        "not_multisig": "The transaction is not a multisig transaction.",
+        "wrong_multisig": "The inner transaction was not issued for one of the configured multisig accounts.",
+        "unknown_initiator": "The initiator is not listed in the acceptFrom list of the signing account.",
+        "bad_signature": "The transaction signature or inner hash does not match the initiator's transaction data.",
+        "self_removal": "The multisig modification removes the cosignatory of this bot.",
+        "min_cosignatories_floor": "The multisig modification drops the required cosignatories below the configured floor."
+    };
 
     /**
      * class MultisigCosignatory implements an example of multi signature
@@ -37,24 +62,22 @@
      * @author  Grégory Saive <greg@evias.be> (https://github.com/evias)
      */
     var MultisigCosignatory = function(chainDataLayer) {
-        var api_ = nemAPI;
 
         this.blockchain_ = chainDataLayer;
         this.db_ = this.blockchain_.getDatabaseAdapter();
 
-        this.nemsocket_ = null;
         this.backend_ = null;
         this.channel_ = null;
         this.params_ = null;
         this.caughtTrxs_ = null;
-        this.nemConnection_ = null;
-        this.nemSubscriptions_ = {};
 
-        this.auditor_ = null;
-        this.errorHandler_ = null;
         this.moduleName = "sign-socket";
         this.logLabel = "SIGN-SOCKET";
         this.fallback_ = null;
+        this.policy_ = new SigningPolicy(chainDataLayer);
+        this.limits_ = new SpendingLimits(chainDataLayer);
+        this.approvalScheduler_ = null;
+        this.pendingTransactions_ = {};
 
         this.options_ = {
             mandatoryMessage: true
@@ -68,12 +91,24 @@
             return this.blockchain_.conf_;
         };
 
+        this.connection = function() {
+            return this.blockchain_.getConnectionManager();
+        };
+
         this.getAuditor = function() {
-            return this.auditor_;
+            return this.connection().getAuditor();
         };
 
         this.getErrorHandler = function() {
-            return this.errorHandler_;
+            return this.connection().getErrorHandler();
+        };
+
+        this.getPolicy = function() {
+            return this.policy_;
+        };
+
+        this.getSpendingLimits = function() {
+            return this.limits_;
         };
 
         // define a helper function to automatically sign incoming unconfirmed transactions
@@ -81,8 +116,6 @@
         // security is increased as it will be hard for a hacker to disclose all bots. Plus the
         // fact that SIGNER bots communicate only through the Blockchain.
         var automaticTransactionSigningHandler = function(instance, transactionMetaDataPair) {
-            var multiAddress = instance.blockchain_.getBotSignMultisigWallet();
-            var cosigAddress = instance.blockchain_.getBotSignWallet();
             var trxHash = instance.blockchain_.getTransactionHash(transactionMetaDataPair);
 
             instance.db_.NEMSignedTransaction.findOne({ transactionHash: trxHash }, function(err, signedTrx) {
@@ -95,58 +128,104 @@
                     return false;
                 }
 
-                instance.logger().info("[NEM] [SIGN] ", __line, "Will sign " + trxHash + " with " + instance.blockchain_.getBotSignWallet() + " for " + instance.blockchain_.getBotSignMultisigWallet() + ".");
+                instance.db_.NEMRejectedTransaction.count({ transactionHash: trxHash }, function(err, cntRejections) {
+                    if (err || cntRejections > 0)
+                    // transaction already rejected
+                        return false;
 
-                // transaction not found in database, will now issue transaction co-signing
-                // in case this transaction does not exceed the daily maximum amount.
+                    instance.db_.NEMPendingCosignature.count({ transactionHash: trxHash }, function(err, cntPending) {
+                        if (err || cntPending > 0)
+                        // transaction already waiting for (or received) an operator decision
+                            return false;
 
-                //DEBUG instance.logger().info("[NEM] [SIGN-SOCKET] [DEBUG]", __line, "now signing transaction: " + trxHash);
+                        transactionApprovalHandler(instance, transactionMetaDataPair);
+                    });
+                });
+            });
+        };
 
-                instance.db_.NEMSignedTransaction.aggregate({ $group: { _id: null, dailyAmount: { $sum: "$amountXEM" } } }, { $project: { _id: 0, dailyAmount: 1 } },
-                    function(err, aggregateData) {
-                        // (1) verify daily maximum amount with current transaction amount
-                        // - only the XEM amount can be limited for now (also looks for mosaics in case of
-                        //   mosaic transfer transactions)
+        // define a helper function to decide whether a transaction can be signed automatically,
+        // needs the approval of an operator or must be rejected.
+        var transactionApprovalHandler = function(instance, transactionMetaDataPair) {
+            var trxHash = instance.blockchain_.getTransactionHash(transactionMetaDataPair);
 
-                        var dailyAmt = aggregateData && aggregateData.dailyAmount > 0 ? aggregateData.dailyAmount : 0;
-                        var dailyMax = instance.blockchain_.conf_.bot.sign.dailyAmount;
-                        if (dailyMax > 0 && dailyAmt >= dailyMax) {
-                            // reached daily limit!
-                            instance.logger().warn("[NEM] [SIGN-SOCKET] [LIMIT]", __line, "Limit of co-signatory Bot reached: " + dailyMax);
-                            return false;
-                        }
+            // (1) verify transaction authenticity and signing policy
+            var verdict = instance.verifyTransaction(transactionMetaDataPair);
 
-                        var trxAmount = instance.blockchain_.getTransactionAmount(transactionMetaDataPair);
+            if (!verdict.valid && instance.isSoftRule(verdict.code))
+                return instance.queueCosignature(transactionMetaDataPair, verdict);
+            else if (!verdict.valid)
+                return instance.saveRejection(transactionMetaDataPair, verdict.code, verdict.reason);
 
-                        if (dailyMax > 0 && dailyAmt + trxAmount > dailyMax) {
-                            // can't sign this transaction, would pass daily limit.
-                            instance.logger().warn("[NEM] [SIGN-SOCKET] [LIMIT]", __line, "Limit of co-signatory Bot would be passed: " + (dailyAmt + trxAmount));
-                            return false;
-                        }
+            var account = instance.getTransactionAccount(transactionMetaDataPair);
+            instance.verifyModification(transactionMetaDataPair, account, function(err, verdict) {
+                // (2) multisig aggregate modifications must respect the modification guardrails
 
-                        // (2) sign transaction and broadcast to network.
-                        // (3) save signed transaction data to database.
-                        try {
-                            var broadcastable = instance.signTransaction(transactionMetaDataPair,
-                                function(response) {
-                                    // now save to db
-                                    var transaction = new instance.db_.NEMSignedTransaction({
-                                        multisigXEM: multiAddress,
-                                        cosignerXEM: cosigAddress,
-                                        transactionHash: trxHash,
-                                        nemNodeData: { socketHost: instance.nemsocket_.socketpt },
-                                        transactionData: transactionMetaDataPair,
-                                        amountXEM: trxAmount,
-                                        createdAt: new Date().valueOf()
-                                    });
-                                    transaction.save();
-                                });
-                        } catch (e) {
-                            instance.logger().error("[NEM] [SIGN-SOCKET] [ERROR]", __line, "Signing aborted: " + e);
-                        }
-                    });
+                if (err) {
+                    // multisig account data not available, the transaction will be processed again.
+                    instance.logger().error("[NEM] [SIGN-SOCKET] [ERROR]", __line, "Could not verify multisig modification: " + err);
+                    return false;
+                } else if (!verdict.valid)
+                    return instance.saveRejection(transactionMetaDataPair, verdict.code, verdict.reason);
 
-                return false;
+                limitsApprovalHandler(instance, transactionMetaDataPair, account);
+            });
+        };
+
+        // define a helper function to check the spending limits and approval threshold before
+        // signing a transaction automatically. The account is locked until the NEMSignedTransaction
+        // is saved such that concurrent transactions are checked against the updated usage.
+        var limitsApprovalHandler = function(instance, transactionMetaDataPair, account) {
+            var trxHash = instance.blockchain_.getTransactionHash(transactionMetaDataPair);
+
+            instance.limits_.lock(account, function(release) {
+                instance.db_.NEMSignedTransaction.count({ transactionHash: trxHash }, function(err, cntSigned) {
+                    if (err || cntSigned > 0) {
+                        // transaction signed while waiting for the lock (websocket and fallback)
+                        release();
+                        return false;
+                    }
+
+                    spendingLimitsHandler(instance, transactionMetaDataPair, account, release);
+                });
+            });
+        };
+
+        // define a helper function to check the spending limits of a locked account, `release`
+        // must be called once the NEMSignedTransaction is saved or the transaction is not signed.
+        var spendingLimitsHandler = function(instance, transactionMetaDataPair, account, release) {
+            instance.limits_.check(transactionMetaDataPair, account, function(verdict) {
+                // (3) verify hourly, daily, weekly and monthly limits with current transaction amounts
+                // - the XEM amount and mosaic quantities are limited by account (see bot.sign.accounts[].limits)
+
+                if (!verdict.valid && instance.isSoftRule(verdict.code)) {
+                    release();
+                    return instance.queueCosignature(transactionMetaDataPair, verdict);
+                } else if (!verdict.valid) {
+                    // can't sign this transaction, would pass a limit. The transaction is not
+                    // rejected permanently such that it can be signed when the window rolls.
+                    release();
+                    instance.logger().warn("[NEM] [SIGN-SOCKET] [LIMIT]", __line, "Limit of co-signatory Bot reached: " + verdict.reason);
+                    return false;
+                }
+
+                // (4) transactions above the approval threshold need the approval of an operator
+                var threshold = instance.getApprovalOptions().threshold;
+                var trxAmount = instance.blockchain_.getTransactionAmount(transactionMetaDataPair);
+
+                if (threshold > 0 && trxAmount > threshold) {
+                    release();
+                    return instance.queueCosignature(transactionMetaDataPair, instance.policy_.verdict("approval_threshold",
+                        "Amount " + trxAmount + " exceeds the approval threshold of " + threshold + "."));
+                }
+
+                // (5) sign transaction and broadcast to network.
+                try {
+                    instance.signAndSaveTransaction(transactionMetaDataPair, false, release);
+                } catch (e) {
+                    release();
+                    instance.logger().error("[NEM] [SIGN-SOCKET] [ERROR]", __line, "Signing aborted: " + e);
+                }
             });
         };
 
@@ -155,29 +234,48 @@
         // communication channel or whatever to any other point than to
         // the NIS blockchain endpoints.
         var websocketFallbackHandler = function(instance) {
+            var accounts = instance.blockchain_.getBotSignAccounts();
+
+            for (var i = 0; i < accounts.length; i++)
+                accountFallbackHandler(instance, accounts[i].multisigAddress);
+
+            // co-signatures must land in a block
+            instance.confirmAnnouncedTransactions();
+        };
+
+        // define a helper function to read the unconfirmed transactions of one multisig account.
+        var accountFallbackHandler = function(instance, multisigAddress) {
             // XXX should also check the Block Height and Last Block to know whether there CAN be new data.
 
-            instance.logger().info("[NEM] [SIGN-FALLBACK] [TRY] ", __line, "Checking unconfirmed transactions of " + instance.blockchain_.getBotSignMultisigWallet() + ".");
+            instance.logger().info("[NEM] [SIGN-FALLBACK] [TRY] ", __line, "Checking unconfirmed transactions of " + multisigAddress + ".");
 
-            // read the payment channel recipient's incoming transaction to check whether the Websocket
+            // read the multisig account's unconfirmed transactions to check whether the Websocket
             // has missed any (happens maybe only on testnet, but this is for being sure.). The same event
             // will be emitted in case a transaction is found un-forwarded.
             instance.blockchain_.nem().com
                 .requests.account.transactions
-                .unconfirmed(instance.blockchain_.endpoint(), instance.blockchain_.getBotSignMultisigWallet())
+                .unconfirmed(instance.blockchain_.endpoint(), multisigAddress)
                 .then(function(res) {
 
                     var unconfirmed = res.data;
 
+                    // keep the poll data for the pending multisig transactions dashboard
+                    instance.pendingTransactions_[multisigAddress] = {
+                        "fetchedAt": new Date().valueOf(),
+                        "multisigInfo": instance.pendingTransactions_[multisigAddress] ? instance.pendingTransactions_[multisigAddress].multisigInfo : null,
+                        "transactions": unconfirmed.filter(function(transaction) {
+                            return transaction.transaction.type == instance.blockchain_.nem().model.transactionTypes.multisigTransaction;
+                        })
+                    };
+
                     for (var i in unconfirmed) {
                         var transaction = unconfirmed[i];
 
                         var meta = transaction.meta;
                         var content = transaction.transaction;
 
-                        //XXX implement real verification of transaction type. In case it is a multisig
-                        //    it should always check the transaction.otherTrans.type value.
-                        //XXX currently only multisig transaction can be signed with this bot.
+                        // only multisig transactions can be signed with this bot, the inner
+                        // transaction type is verified with the signing policy.
 
                         if (content.type != instance.blockchain_.nem().model.transactionTypes.multisigTransaction) {
                             // we are interested only in multisig transactions.
@@ -189,70 +287,36 @@
                 }, function(err) {
                     instance.logger().error("[NEM] [ERROR] [SIGN-FALLBACK]", __line, "NIS API account.transactions.unconfirmed Error: " + JSON.stringify(err));
                 });
+
+            // the multisig settings are needed to compute the signatures still required
+            instance.blockchain_.nem().com.requests.account
+                .data(instance.blockchain_.endpoint(), multisigAddress)
+                .then(function(res) {
+                    var pending = instance.pendingTransactions_[multisigAddress] || { "fetchedAt": null, "transactions": [] };
+
+                    pending.multisigInfo = res.account.multisigInfo || {};
+                    instance.pendingTransactions_[multisigAddress] = pending;
+                }, function(err) {
+                    instance.logger().error("[NEM] [ERROR] [SIGN-FALLBACK]", __line, "NIS API account.data Error: " + JSON.stringify(err));
+                });
         };
 
         /**
-         * Open the connection to a Websocket to the NEM Blockchain endpoint configured
-         * through ```this.blockchain_```.
+         * Register the co-signatory with the shared websocket connection of
+         * the ConnectionManager and subscribe to the unconfirmed transactions
+         * of all multisig accounts.
          *
-         * @return {[type]} [description]
+         * @return {ConnectionManager}
          */
         this.connectBlockchainSocket = function() {
             var self = this;
 
-            // initialize the socket connection with the current
-            // blockchain instance connected endpoint
-            self.nemsocket_ = new api_(self.blockchain_.getNetwork().host + ":" + self.blockchain_.getNetwork().port);
-
-            self.errorHandler_ = new SocketErrorHandler(self);
-
-            // Connect to NEM Blockchain Websocket now
-            self.nemConnection_ = self.nemsocket_.connectWS(function() {
-                // on connection we subscribe only to the /errors websocket.
-                // MultisigCosignatory will open
-
-                try {
-                    self.logger().info("[NEM] [SIGN-SOCKET] [CONNECT]", __line, "Connection established with node: " + JSON.stringify(self.nemsocket_.socketpt));
-
-                    // NEM Websocket Error listening
-                    self.logger().info("[NEM] [SIGN-SOCKET]", __line, 'subscribing to /errors.');
-                    self.nemSubscriptions_["/errors"] = self.nemsocket_.subscribeWS("/errors", function(message) {
-                        self.logger().error("[NEM] [SIGN-SOCKET] [ERROR]", __line, "Error Happened: " + message.body);
-                    });
-
-                    self.auditor_ = new BlocksAuditor(self);
-
-                    // NEM Websocket unconfirmed transactions Listener
-                    var unconfirmedUri = "/unconfirmed/" + self.blockchain_.getBotSignMultisigWallet();
-                    self.logger().info("[NEM] [SIGN-SOCKET]", __line, 'subscribing to ' + unconfirmedUri + '.');
-                    self.nemSubscriptions_[unconfirmedUri] = self.nemsocket_.subscribeWS(unconfirmedUri, function(message) {
-                        var parsed = JSON.parse(message.body);
-                        self.logger().info("[NEM] [SIGN-SOCKET]", __line, 'unconfirmed(' + JSON.stringify(parsed) + ')');
-
-                        var transactionData = JSON.parse(message.body);
-                        var transaction = transactionData.transaction;
+            self.connection().register(self);
 
-                        //XXX implement real verification of transaction type. In case it is a multisig
-                        //    it should always check the transaction.otherTrans.type value.
-                        //XXX currently only multisig transaction can be signed with this bot.
-
-                        if (transaction.type != chainDataLayer.nem().model.transactionTypes.multisigTransaction) {
-                            // we are interested only in multisig transactions.
-                            return false;
-                        }
-
-                        automaticTransactionSigningHandler(self, transactionData);
-                    });
-
-                    var sendUri = "/w/api/account/transfers/all";
-                    //self.nemsocket_.sendWS(sendUri, {}, JSON.stringify({ account: self.blockchain_.getBotSignWallet() }));
-
-                } catch (e) {
-                    // On Exception, restart connection process
-                    self.logger().error("[NEM] [ERROR]", __line, "Websocket Subscription Error: " + e);
-                    self.connectBlockchainSocket();
-                }
-            }, self.errorHandler_.handle);
+            // NEM Websocket unconfirmed transactions Listener for each multisig account
+            var accounts = self.blockchain_.getBotSignAccounts();
+            for (var i = 0; i < accounts.length; i++)
+                self.subscribeAccount(accounts[i].multisigAddress);
 
             // fallback handler queries the blockchain every 2 minutes
             if (self.fallback_ !== null) clearInterval(self.fallback_);
@@ -262,113 +326,754 @@
 
             websocketFallbackHandler(self);
 
-            return self.nemsocket_;
+            return self.connection().connect();
         };
 
         /**
-         * This method will unsubscribe from websocket channels and
-         * disconnect the websocket.
-         * 
+         * Subscribe to the unconfirmed transactions websocket channel of
+         * a multisig account.
+         *
+         * @param  {String} multisigAddress
          * @return void
          */
-        this.disconnectBlockchainSocket = function(callback) {
-            if (!this.nemsocket_) return false;
-
+        this.subscribeAccount = function(multisigAddress) {
             var self = this;
-            try {
-                for (path in self.nemSubscriptions_) {
-                    var subId = self.nemSubscriptions_[path];
-                    self.nemsocket_.unsubscribeWS(subId);
+            var unconfirmedUri = "/unconfirmed/" + multisigAddress;
 
-                    delete self.nemSubscriptions_[path];
-                }
+            self.connection().subscribe(self, unconfirmedUri, function(message) {
+                var parsed = JSON.parse(message.body);
+                self.logger().info("[NEM] [SIGN-SOCKET]", __line, 'unconfirmed(' + JSON.stringify(parsed) + ')');
 
-                self.nemsocket_.disconnectWS(function() {
-                    self.logger().info("[NEM] [SIGN-SOCKET] [DISCONNECT]", __line, "Websocket disconnected.");
+                var transactionData = JSON.parse(message.body);
+                var transaction = transactionData.transaction;
 
-                    delete self.nemsocket_;
-                    delete self.nemSubscriptions_;
-                    delete self.nemConnection_;
-                    self.nemSubscriptions_ = {};
+                // only multisig transactions can be signed with this bot, the inner
+                // transaction type is verified with the signing policy.
 
-                    if (callback)
-                        return callback();
-                });
-            } catch (e) {
-                // hot disconnect
-                self.logger().info("[NEM] [SIGN-SOCKET] [DISCONNECT]", __line, "Websocket Hot Disconnect.");
+                if (transaction.type != self.blockchain_.nem().model.transactionTypes.multisigTransaction) {
+                    // we are interested only in multisig transactions.
+                    return false;
+                }
+
+                automaticTransactionSigningHandler(self, transactionData);
+            });
+        };
+
+        /**
+         * This method will unsubscribe the co-signatory from all websocket
+         * channels. The shared websocket stays connected.
+         *
+         * @param  {Function}   callback
+         * @return void
+         */
+        this.disconnectBlockchainSocket = function(callback) {
+            this.connection().unsubscribeModule(this);
 
-                delete self.nemsocket_;
-                delete self.nemSubscriptions_;
-                delete self.nemConnection_;
-                self.nemSubscriptions_ = {};
+            if (callback)
                 return callback();
-            }
         };
 
         /**
          * Verify an unconfirmed transaction. This method will check the
          * transaction signature with initiator public key.
          *
-         * /!\ In case this method returns `false`, it means the transaction
-         * has been tampered with and it is not safe to sign the
-         * transaction !
+         * The outer multisig transaction is serialized (including the inner
+         * transaction) and its signature is verified with the initiator public
+         * key. The inner transaction hash is verified against the serialized
+         * inner transaction.
          *
-         * @param  {[type]} transactionMetaDataPair [description]
-         * @return {[type]}                         [description]
+         * Genuine transactions are then evaluated with the signing policy
+         * (see SigningPolicy).
+         *
+         * /!\ In case the returned verdict is not `valid`, it means the transaction
+         * has been tampered with or is not accepted and it is not safe to sign the
+         * transaction ! The verdict `code` is then one of the `RejectionCodes` or
+         * one of the `PolicyCodes`.
+         *
+         * @param  [TransactionMetaDataPair]{@link http://bob.nem.ninja/docs/#transactionMetaDataPair} transactionMetaDataPair
+         * @return {Object}     Verdict `{valid: Boolean, code: String|null, reason: String|null}`
          */
         this.verifyTransaction = function(transactionMetaDataPair) {
             var self = this;
-            var meta = transactionMetaDataPair.meta;
-            var content = transactionMetaDataPair.transaction;
-            var trxHash = self.blockchain_.getTransactionHash(transactionMetaDataPair);
+            var nem = self.blockchain_.nem();
+            var meta = transactionMetaDataPair ? transactionMetaDataPair.meta : null;
+            var content = transactionMetaDataPair ? transactionMetaDataPair.transaction : null;
+            var reject = function(code) {
+                return self.policy_.verdict(code, RejectionReasons[code]);
+            };
+
+            if (!meta || !content || !content.signer || !content.signature)
+                return reject(RejectionCodes.MALFORMED);
+
+            var isMultisig = content.type === nem.model.transactionTypes.multisigTransaction;
+            if (!isMultisig)
+                return reject(RejectionCodes.NOT_MULTISIG);
 
-            var isMultisig = content.type === self.blockchain_.nem_.model.transactionTypes.multisigTransaction;
-            var trxRealData = isMultisig ? content.otherTrans : content;
+            var trxRealData = content.otherTrans;
             var trxSignature = content.signature.toString();
             var trxInitiatorPubKey = content.signer;
 
-            if (!isMultisig)
-                return 1;
+            if (!trxRealData || !trxRealData.signer)
+                return reject(RejectionCodes.MALFORMED);
 
             // in case we have a multisig, the transaction.otherTrans.signer is the Multisig
             // Account public key. This lets us verify the authenticity of the Transaction some more.
             var trxRealAccount = self.blockchain_.getAddressFromPublicKey(trxRealData.signer);
-            var multisigAccount = self.config().bot.sign.multisigAddress;
+            var account = self.blockchain_.getBotSignAccount(trxRealAccount);
 
-            if (trxRealAccount != multisigAccount)
-            // will only sign transaction for the configured multisignature address.
-                return 2;
+            if (!account)
+            // will only sign transaction for the configured multisignature addresses.
+                return reject(RejectionCodes.WRONG_MULTISIG);
 
-            if (!self.isAcceptedCosignatory(trxInitiatorPubKey))
-            // bot.sign.cosignatory.acceptFrom
-                return 3;
+            if (!self.isAcceptedCosignatory(trxInitiatorPubKey, account))
+            // bot.sign.accounts[].cosignatory.acceptFrom
+                return reject(RejectionCodes.UNKNOWN_INITIATOR);
 
             //DEBUG self.logger().info("[NEM] [DEBUG] ", __line, 'Now verifying transaction "' + trxHash + '" with signature "' + trxSignature + '" and initiator "' + trxInitiatorPubKey + '"');
 
-            // check transaction signature with initiator public key
+            try {
+                // (1) the inner transaction hash must correspond to the inner transaction data
+                var innerSerialized = nem.utils.serialization.serializeTransaction(self.getSerializableTransaction(trxRealData));
+                var innerHash = self.getSerializedTransactionHash(innerSerialized);
+
+                if (meta.innerHash && meta.innerHash.data && meta.innerHash.data.length && meta.innerHash.data !== innerHash)
+                    return reject(RejectionCodes.BAD_SIGNATURE);
+
+                // (2) check transaction signature with initiator public key, the serialized
+                //     multisig transaction contains the serialized inner transaction.
+                var trxSerialized = nem.utils.serialization.serializeTransaction(self.getSerializableTransaction(content));
+
+                if (!nem.crypto.verifySignature(trxInitiatorPubKey, trxSerialized, trxSignature))
+                    return reject(RejectionCodes.BAD_SIGNATURE);
+            } catch (e) {
+                self.logger().warn("[NEM] [SIGN-SOCKET] [VERIFY]", __line, "Transaction could not be serialized: " + e);
+                return reject(RejectionCodes.MALFORMED);
+            }
+
+            // (3) transaction is genuine, evaluate the signing policy rules
+            return self.policy_.evaluate(transactionMetaDataPair);
+        };
+
+        /**
+         * Get the address of the multisig account of a multisig transaction,
+         * this is the address of the inner transaction signer.
+         *
+         * @param  [TransactionMetaDataPair]{@link http://bob.nem.ninja/docs/#transactionMetaDataPair} transactionMetaDataPair
+         * @return {String|null}
+         */
+        this.getMultisigAddress = function(transactionMetaDataPair) {
+            var content = transactionMetaDataPair ? transactionMetaDataPair.transaction : null;
+
+            if (!content || !content.otherTrans || !content.otherTrans.signer)
+                return null;
+
+            return this.blockchain_.getAddressFromPublicKey(content.otherTrans.signer);
+        };
+
+        /**
+         * Get the configured signing account of a multisig transaction.
+         *
+         * @param  [TransactionMetaDataPair]{@link http://bob.nem.ninja/docs/#transactionMetaDataPair} transactionMetaDataPair
+         * @return {Object|null}
+         */
+        this.getTransactionAccount = function(transactionMetaDataPair) {
+            return this.blockchain_.getBotSignAccount(this.getMultisigAddress(transactionMetaDataPair));
+        };
+
+        /**
+         * Read the multisig modifications guardrails of a signing account
+         * (`bot.sign.modifications` or `bot.sign.accounts[].modifications`).
+         *
+         * @param  {Object} account     Signing account (see getBotSignAccounts)
+         * @return {Object}
+         */
+        this.getModificationOptions = function(account) {
+            var conf = account.modifications || {};
+
+            return {
+                "allowSelfRemoval": conf.allowSelfRemoval === true,
+                "minCosignatories": parseInt(conf.minCosignatories) || 0
+            };
+        };
+
+        /**
+         * Verify a multisig aggregate modification with the modification
+         * guardrails. Transactions which are not multisig modifications are
+         * always valid.
+         *
+         * - The cosignatory of this bot cannot be removed unless `allowSelfRemoval` is set.
+         * - The count of required cosignatories cannot drop below `minCosignatories`.
+         *
+         * The current multisig account settings are read from the NIS API, the
+         * callback receives an error when those are not available.
+         *
+         * @param  [TransactionMetaDataPair]{@link http://bob.nem.ninja/docs/#transactionMetaDataPair} transactionMetaDataPair
+         * @param  {Object}     account     Signing account (see getBotSignAccounts)
+         * @param  {Function}   callback    Called with (err, verdict)
+         * @return void
+         */
+        this.verifyModification = function(transactionMetaDataPair, account, callback) {
+            var self = this;
+            var nem = self.blockchain_.nem();
+            var innerTrx = transactionMetaDataPair.transaction.otherTrans;
+            var reject = function(code) {
+                return callback(null, self.policy_.verdict(code, RejectionReasons[code]));
+            };
+
+            if (innerTrx.type !== nem.model.transactionTypes.multisigModification)
+                return callback(null, self.policy_.verdict());
+
+            var options = self.getModificationOptions(account);
+            var modifications = innerTrx.modifications || [];
+            var relativeChange = innerTrx.minCosignatories ? parseInt(innerTrx.minCosignatories.relativeChange) || 0 : 0;
+            var cntAdded = 0;
+            var cntRemoved = 0;
+
+            var botPubKey = null;
+            try {
+                botPubKey = nem.crypto.keyPair.create(account.privateKey).publicKey.toString();
+            } catch (e) {
+                return callback("Invalid private key for " + account.multisigAddress + ": " + e);
+            }
+
+            for (var i = 0; i < modifications.length; i++) {
+                // modificationType 1 adds a cosignatory, 2 removes a cosignatory
+                if (modifications[i].modificationType !== 2) {
+                    cntAdded++;
+                    continue;
+                }
+
+                cntRemoved++;
+                if (modifications[i].cosignatoryAccount === botPubKey && !options.allowSelfRemoval)
+                    return reject(RejectionCodes.SELF_REMOVAL);
+            }
+
+            if (options.minCosignatories <= 0)
+                return callback(null, self.policy_.verdict());
+
+            nem.com.requests.account
+                .data(self.blockchain_.endpoint(), account.multisigAddress)
+                .then(function(res) {
+                    var info = res.account.multisigInfo || {};
+                    var cntCosigs = (info.cosignatoriesCount || 0) + cntAdded - cntRemoved;
+                    var minCosigs = (info.minCosignatories || 0) + relativeChange;
+
+                    // a minimum of 0 cosignatories means that all cosignatories must sign
+                    var required = minCosigs > 0 ? Math.min(minCosigs, cntCosigs) : cntCosigs;
+
+                    if (required < options.minCosignatories)
+                        return reject(RejectionCodes.MIN_COSIGNATORIES_FLOOR);
+
+                    return callback(null, self.policy_.verdict());
+                }, function(err) {
+                    return callback("NIS API account.data Error: " + JSON.stringify(err));
+                });
+        };
+
+        /**
+         * List the unconfirmed multisig transactions of the configured accounts
+         * as read by the last fallback poll. Each entry contains the inner
+         * transaction details, the cosignatures collected, the count of
+         * signatures still required, the remaining time before the deadline
+         * and the decision of this bot:
+         *
+         * - `signed` : co-signed by this bot
+         * - `rejected` : rejected by this bot (see `reason`)
+         * - `awaiting_approval` : in the NEMPendingCosignature queue
+         * - `approved`, `expired` : operator decision or expiry of the queue entry
+         * - `processing` : no decision yet
+         *
+         * @param  {Function}   callback    Called with (err, data)
+         * @return void
+         */
+        this.getPendingTransactions = function(callback) {
+            var self = this;
+            var now = new Date().valueOf();
+            var entries = [];
+            var hashes = [];
+
+            for (var address in self.pendingTransactions_) {
+                var pending = self.pendingTransactions_[address];
+                var info = pending.multisigInfo || {};
+
+                for (var i = 0; i < pending.transactions.length; i++) {
+                    var transaction = pending.transactions[i];
+                    var content = transaction.transaction;
+                    var innerTrx = content.otherTrans;
+                    var trxHash = self.blockchain_.getTransactionHash(transaction);
+
+                    // the initiator signature counts as the first cosignature
+                    var cosignatures = [content.signer].concat((content.signatures || []).map(function(signature) {
+                        return signature.signer;
+                    }));
+
+                    var cntCosigs = info.cosignatoriesCount || 0;
+                    var required = info.minCosignatories > 0 ? info.minCosignatories : cntCosigs;
+                    var deadline = self.blockchain_.getTransactionDeadline(transaction);
+
+                    hashes.push(trxHash);
+                    entries.push({
+                        "hash": trxHash,
+                        "multisig": address,
+                        "inner": {
+                            "type": self.policy_.getTypeName(innerTrx.type),
+                            "recipient": innerTrx.recipient,
+                            "amount": self.blockchain_.getTransactionAmount(transaction),
+                            "mosaics": self.blockchain_.getTransactionMosaics(transaction),
+                            "message": self.blockchain_.getTransactionMessage(transaction),
+                            "modifications": innerTrx.modifications,
+                            "fee": innerTrx.fee
+                        },
+                        "cosignatures": cosignatures.map(function(pubKey) {
+                            return { "publicKey": pubKey, "address": self.blockchain_.getAddressFromPublicKey(pubKey) };
+                        }),
+                        "signaturesRequired": Math.max(0, required - cosignatures.length),
+                        "deadline": deadline,
+                        "remaining": Math.max(0, deadline - now),
+                        "fetchedAt": pending.fetchedAt,
+                        "decision": { "status": "processing", "code": null, "reason": null }
+                    });
+                }
+            }
+
+            var byHash = function(docs) {
+                var indexed = {};
+                for (var i = 0; i < docs.length; i++)
+                    indexed[docs[i].transactionHash] = docs[i];
+
+                return indexed;
+            };
+
+            var query = { transactionHash: { $in: hashes } };
+            self.db_.NEMSignedTransaction.find(query, function(err, signed) {
+                if (err) return callback(err);
+
+                self.db_.NEMRejectedTransaction.find(query, function(err, rejected) {
+                    if (err) return callback(err);
+
+                    self.db_.NEMPendingCosignature.find(query, function(err, queued) {
+                        if (err) return callback(err);
+
+                        signed = byHash(signed);
+                        rejected = byHash(rejected);
+                        queued = byHash(queued);
+
+                        for (var i = 0; i < entries.length; i++) {
+                            var hash = entries[i].hash;
+
+                            if (signed.hasOwnProperty(hash))
+                                entries[i].decision = { "status": "signed", "code": null, "reason": signed[hash].lastError || null, "announce": signed[hash].status };
+                            else if (rejected.hasOwnProperty(hash))
+                                entries[i].decision = { "status": "rejected", "code": rejected[hash].code, "reason": rejected[hash].reason };
+                            else if (queued.hasOwnProperty(hash)) {
+                                var status = queued[hash].status == "pending" ? "awaiting_approval" : queued[hash].status;
+                                entries[i].decision = { "status": status, "code": queued[hash].code, "reason": queued[hash].decisionReason || queued[hash].reason };
+                            }
+                        }
+
+                        return callback(null, entries);
+                    });
+                });
+            });
+        };
+
+        /**
+         * Save an audit event in the NEMAuditEvent collection and emit it to
+         * connected backends with the `nembot_audit_event` socket.io event.
+         *
+         * @param  {String}     eventName
+         * @param  [TransactionMetaDataPair]{@link http://bob.nem.ninja/docs/#transactionMetaDataPair} transactionMetaDataPair
+         * @param  {Object}     data
+         * @return void
+         */
+        this.recordAuditEvent = function(eventName, transactionMetaDataPair, data) {
+            var self = this;
+            var trxHash = self.blockchain_.getTransactionHash(transactionMetaDataPair);
+
+            var auditEvent = new self.db_.NEMAuditEvent({
+                event: eventName,
+                multisigXEM: self.getMultisigAddress(transactionMetaDataPair),
+                transactionHash: trxHash,
+                data: data,
+                createdAt: new Date().valueOf()
+            });
+
+            auditEvent.save(function(err, auditEvent) {
+                if (err)
+                    return self.logger().error("[NEM] [SIGN-SOCKET] [ERROR]", __line, "Error saving NEMAuditEvent: " + err);
+
+                self.logger().info("[NEM] [SIGN-SOCKET] [AUDIT]", __line, eventName + '(' + trxHash + ')');
+
+                var cliSocketIo = self.blockchain_.getCliSocketIo();
+                if (cliSocketIo)
+                    cliSocketIo.sockets.emit("nembot_audit_event", JSON.stringify(auditEvent.toDict()));
+            });
+        };
+
+        /**
+         * Get a copy of the transaction data without the fields which are not
+         * part of the signed transaction data (signature and cosignatures).
+         *
+         * NIS returns `"message": {}` for transfers without message, nem-sdk only
+         * serializes the message length field for messages of type 1 or 2, the
+         * empty message is thus normalized to `{type: 1, payload: ""}` which
+         * serializes to the zero length message field signed by the initiator.
+         *
+         * @param  {Object} transaction
+         * @return {Object}
+         */
+        this.getSerializableTransaction = function(transaction) {
+            var nem = this.blockchain_.nem();
+            var serializable = {};
+            for (var field in transaction) {
+                if (field == "signature" || field == "signatures")
+                    continue;
+
+                serializable[field] = transaction[field];
+            }
+
+            if (serializable.otherTrans)
+                serializable.otherTrans = this.getSerializableTransaction(serializable.otherTrans);
+
+            if (serializable.type === nem.model.transactionTypes.transfer) {
+                var message = serializable.message;
+                if (!message || (message.type !== 1 && message.type !== 2))
+                    serializable.message = {type: 1, payload: ""};
+            }
+
+            return serializable;
+        };
+
+        /**
+         * Compute the NEM transaction hash (SHA3-256) of serialized
+         * transaction data.
+         *
+         * @param  {Uint8Array} serialized
+         * @return {String}
+         */
+        this.getSerializedTransactionHash = function(serialized) {
+            var nem = this.blockchain_.nem();
+            var words = nem.crypto.js.enc.Hex.parse(nem.utils.convert.ua2hex(serialized));
+
+            return nem.crypto.js.SHA3(words, { outputLength: 256 }).toString();
+        };
+
+        /**
+         * Save the rejection of a transaction with its rejection code in the
+         * NEMRejectedTransaction collection. Every transaction is only saved
+         * once per rejection code.
+         *
+         * @param  [TransactionMetaDataPair]{@link http://bob.nem.ninja/docs/#transactionMetaDataPair} transactionMetaDataPair
+         * @param  {String}     code        Rejection code
+         * @param  {String}     reason      Rejection details
+         * @return void
+         */
+        this.saveRejection = function(transactionMetaDataPair, code, reason = null) {
+            var self = this;
+            var trxHash = self.blockchain_.getTransactionHash(transactionMetaDataPair);
+            var content = transactionMetaDataPair && transactionMetaDataPair.transaction ? transactionMetaDataPair.transaction : {};
+
+            self.db_.NEMRejectedTransaction.findOne({ transactionHash: trxHash, code: code }, function(err, rejection) {
+                if (err || rejection)
+                // error OR entry FOUND => already saved
+                    return false;
+
+                rejection = new self.db_.NEMRejectedTransaction({
+                    transactionHash: trxHash,
+                    multisigXEM: self.getMultisigAddress(transactionMetaDataPair),
+                    initiatorPubKey: content.signer,
+                    code: code,
+                    reason: reason ? reason : RejectionReasons[code],
+                    transactionData: transactionMetaDataPair,
+                    createdAt: new Date().valueOf()
+                });
+
+                rejection.save(function(err) {
+                    if (err)
+                        return self.logger().error("[NEM] [SIGN-SOCKET] [ERROR]", __line, "Error saving NEMRejectedTransaction: " + err);
+
+                    self.logger().warn("[NEM] [SIGN-SOCKET] [REJECT]", __line, 'Transaction "' + trxHash + '" rejected: ' + code + '.');
+                });
+            });
+        };
+
+        /**
+         * Read the approval queue configuration `bot.sign.approval`.
+         *
+         * @return {Object}
+         */
+        this.getApprovalOptions = function() {
+            var conf = this.config().bot.sign.approval || {};
 
-            //XXX should be fixed now, must be tested
-            //var trxSerialized = self.blockchain_.nem_.utils.serialization.serializeTransaction(content);
-            //return self.blockchain_.nem_.crypto.verifySignature(trxInitiatorPubKey, trxSerialized, trxSignature);
-            return true;
+            return {
+                "threshold": parseInt(conf.threshold) || 0,
+                "softRules": conf.softRules || []
+            };
+        };
+
+        /**
+         * Check whether a rejection code is a soft rule. Transactions failing
+         * a soft rule are queued for approval instead of being rejected.
+         *
+         * Verification failures (`RejectionCodes`) are never soft rules.
+         *
+         * @param  {String}  code
+         * @return {Boolean}
+         */
+        this.isSoftRule = function(code) {
+            for (var key in RejectionCodes) {
+                if (RejectionCodes[key] === code)
+                    return false;
+            }
+
+            return this.getApprovalOptions().softRules.indexOf(code) !== -1;
+        };
+
+        /**
+         * Add a transaction to the NEMPendingCosignature queue. The entry
+         * expires when the transaction deadline passes.
+         *
+         * @param  [TransactionMetaDataPair]{@link http://bob.nem.ninja/docs/#transactionMetaDataPair} transactionMetaDataPair
+         * @param  {Object}     verdict     Verdict explaining why approval is needed
+         * @return void
+         */
+        this.queueCosignature = function(transactionMetaDataPair, verdict) {
+            var self = this;
+            var trxHash = self.blockchain_.getTransactionHash(transactionMetaDataPair);
+
+            var pending = new self.db_.NEMPendingCosignature({
+                transactionHash: trxHash,
+                multisigXEM: self.getMultisigAddress(transactionMetaDataPair),
+                initiatorPubKey: transactionMetaDataPair.transaction.signer,
+                amountXEM: self.blockchain_.getTransactionAmount(transactionMetaDataPair),
+                code: verdict.code,
+                reason: verdict.reason,
+                transactionData: transactionMetaDataPair,
+                status: "pending",
+                deadline: self.blockchain_.getTransactionDeadline(transactionMetaDataPair),
+                createdAt: new Date().valueOf()
+            });
+
+            pending.save(function(err, pending) {
+                if (err)
+                    return self.logger().error("[NEM] [SIGN-SOCKET] [ERROR]", __line, "Error saving NEMPendingCosignature: " + err);
+
+                self.logger().warn("[NEM] [SIGN-SOCKET] [APPROVAL]", __line, 'Transaction "' + trxHash + '" needs approval: ' + verdict.reason);
+                self.notifyCosignatureUpdate(pending);
+            });
+        };
+
+        /**
+         * Approve a pending co-signature. The transaction is signed and
+         * broadcast, the entry status is `signed` after broadcast.
+         *
+         * The modification guardrails and the spending limits are checked
+         * again before signing. An operator can only overrule the spending
+         * limit verdict for which the co-signature was queued. A co-signature
+         * approved twice is only signed once.
+         *
+         * @param  {NEMPendingCosignature}  pending
+         * @param  {String}                 operator
+         * @param  {Function}               callback    Called with (err, pending)
+         * @return void
+         */
+        this.approveCosignature = function(pending, operator, callback) {
+            var self = this;
+
+            if (pending.status !== "pending")
+                return callback("Co-signature is not pending, status: " + pending.status);
+
+            if (pending.isExpired())
+                return self.expireCosignature(pending, function() {
+                    return callback("Co-signature expired, the transaction deadline has passed.");
+                });
+
+            var account = self.getTransactionAccount(pending.transactionData);
+            if (!account)
+                return callback("No signing account configured for " + pending.multisigXEM + ".");
+
+            // modification guardrails cannot be overruled by an operator
+            self.verifyModification(pending.transactionData, account, function(err, verdict) {
+                if (err) return callback(err);
+                if (!verdict.valid) return callback(verdict.reason);
+
+                self.limits_.lock(account, function(release) {
+                    self.db_.NEMSignedTransaction.count({ transactionHash: pending.transactionHash }, function(err, cntSigned) {
+                        if (err || cntSigned > 0) {
+                            // co-signature approved twice, signed while waiting for the lock.
+                            release();
+                            return callback(err || "Co-signature was already signed.");
+                        }
+
+                        self.limits_.check(pending.transactionData, account, function(verdict) {
+                            if (!verdict.valid && verdict.code !== pending.code) {
+                                // approved for another reason, the spending limits still apply.
+                                release();
+                                return callback(verdict.reason);
+                            }
+
+                            self.signApprovedCosignature(pending, operator, callback, release);
+                        });
+                    });
+                });
+            });
+        };
+
+        /**
+         * Save the approval of a pending co-signature and sign the
+         * transaction.
+         *
+         * @param  {NEMPendingCosignature}  pending
+         * @param  {String}                 operator
+         * @param  {Function}               callback    Called with (err, pending)
+         * @param  {Function}               onSigned    Called once the signed transaction is saved and announced, or not signed
+         * @return void
+         */
+        this.signApprovedCosignature = function(pending, operator, callback, onSigned = null) {
+            var self = this;
+
+            if (!onSigned)
+                onSigned = function() {};
+
+            pending.status = "approved";
+            pending.decidedBy = operator;
+            pending.decidedAt = new Date().valueOf();
+            pending.updatedAt = new Date().valueOf();
+            pending.save(function(err, pending) {
+                if (err) {
+                    onSigned();
+                    return callback(err);
+                }
+
+                self.notifyCosignatureUpdate(pending);
+
+                try {
+                    self.signAndSaveTransaction(pending.transactionData, true, function(transaction) {
+                        onSigned();
+                        pending.status = !transaction || transaction.status == "failed" ? "failed" : "signed";
+                        pending.updatedAt = new Date().valueOf();
+                        pending.save(function(err, pending) {
+                            if (!err) self.notifyCosignatureUpdate(pending);
+                        });
+                    });
+                } catch (e) {
+                    onSigned();
+                    self.logger().error("[NEM] [SIGN-SOCKET] [ERROR]", __line, "Signing aborted: " + e);
+                    return callback(e.toString());
+                }
+
+                return callback(null, pending);
+            });
+        };
+
+        /**
+         * Reject a pending co-signature. The transaction will not be signed.
+         *
+         * @param  {NEMPendingCosignature}  pending
+         * @param  {String}                 operator
+         * @param  {String}                 reason
+         * @param  {Function}               callback    Called with (err, pending)
+         * @return void
+         */
+        this.rejectCosignature = function(pending, operator, reason, callback) {
+            var self = this;
+
+            if (pending.status !== "pending")
+                return callback("Co-signature is not pending, status: " + pending.status);
+
+            pending.status = "rejected";
+            pending.decidedBy = operator;
+            pending.decisionReason = reason;
+            pending.decidedAt = new Date().valueOf();
+            pending.updatedAt = new Date().valueOf();
+            pending.save(function(err, pending) {
+                if (err) return callback(err);
+
+                self.notifyCosignatureUpdate(pending);
+                return callback(null, pending);
+            });
+        };
+
+        /**
+         * Mark a pending co-signature as expired.
+         *
+         * @param  {NEMPendingCosignature}  pending
+         * @param  {Function}               callback
+         * @return void
+         */
+        this.expireCosignature = function(pending, callback = null) {
+            var self = this;
+
+            pending.status = "expired";
+            pending.updatedAt = new Date().valueOf();
+            pending.save(function(err, pending) {
+                if (!err) self.notifyCosignatureUpdate(pending);
+
+                if (callback)
+                    return callback(pending);
+            });
+        };
+
+        /**
+         * Start the expiry worker of the NEMPendingCosignature queue, pending
+         * entries expire when the NIS transaction deadline passes.
+         *
+         * @return {MultisigCosignatory}
+         */
+        this.startApprovalScheduler = function() {
+            var self = this;
+
+            var expirePending = function() {
+                var query = {
+                    status: "pending",
+                    deadline: { $lte: new Date().valueOf() }
+                };
+
+                self.db_.NEMPendingCosignature.find(query, function(err, entries) {
+                    if (err)
+                        return self.logger().error("[NEM] [SIGN-SOCKET] [ERROR]", __line, "Error reading NEMPendingCosignature: " + err);
+
+                    for (var i = 0; i < entries.length; i++)
+                        self.expireCosignature(entries[i]);
+                });
+            };
+
+            if (self.approvalScheduler_ !== null)
+                clearInterval(self.approvalScheduler_);
+
+            self.approvalScheduler_ = setInterval(expirePending, 60 * 1000);
+            expirePending();
+            return self;
+        };
+
+        /**
+         * Notify connected backends about a NEMPendingCosignature update
+         * with the `nembot_cosignature_update` socket.io event.
+         *
+         * @param  {NEMPendingCosignature}  pending
+         * @return void
+         */
+        this.notifyCosignatureUpdate = function(pending) {
+            var cliSocketIo = this.blockchain_.getCliSocketIo();
+            if (!cliSocketIo)
+                return false;
+
+            cliSocketIo.sockets.emit("nembot_cosignature_update", JSON.stringify(pending.toDict()));
         };
 
         /**
          * Check whether the given public key is a valid listed cosignatory.
          *
          * Accepted cosignatories can be listed in the `config/bot.json` file under
-         * `bot.sign.cosignatory.acceptFrom` as an array of public keys.
+         * `bot.sign.accounts[].cosignatory.acceptFrom` (or `bot.sign.cosignatory.acceptFrom`)
+         * as an array of public keys.
          *
          * @param  {string}  cosigPubKey
+         * @param  {Object}  account        Signing account (see getBotSignAccounts)
          * @return {Boolean}
          */
-        this.isAcceptedCosignatory = function(cosigPubKey) {
-            var self = this;
-            var cosigs = self.config().bot.sign.cosignatory.acceptFrom;
-
-            if (typeof cosigs == "string")
-                return cosigs === cosigPubKey;
+        this.isAcceptedCosignatory = function(cosigPubKey, account) {
+            var cosigs = account.acceptFrom;
 
             for (var i in cosigs) {
                 var valid = cosigs[i];
@@ -379,29 +1084,112 @@
             return false;
         };
 
+        /**
+         * Sign a transaction, save the signed transaction data to the
+         * NEMSignedTransaction collection and announce the signature.
+         *
+         * The NEMSignedTransaction is saved before the announce such that a
+         * transaction is never signed twice, its `status` is then `announced`,
+         * `failed` or later `confirmed` (see confirmAnnouncedTransactions).
+         *
+         * @param  [TransactionMetaDataPair]{@link http://bob.nem.ninja/docs/#transactionMetaDataPair} transactionMetaDataPair
+         * @param  {Boolean}    approved    Whether an operator approved the transaction
+         * @param  {Function}   callback    Called with the NEMSignedTransaction after the announce, `false` when not signed
+         * @return void
+         */
+        this.signAndSaveTransaction = function(transactionMetaDataPair, approved = false, callback = null) {
+            var self = this;
+            var account = self.getTransactionAccount(transactionMetaDataPair);
+
+            if (!account)
+                throw "No signing account configured for the multisig account of this transaction.";
+
+            var multiAddress = account.multisigAddress;
+            var cosigAddress = account.walletAddress;
+            var trxHash = self.blockchain_.getTransactionHash(transactionMetaDataPair);
+            var trxAmount = self.blockchain_.getTransactionAmount(transactionMetaDataPair);
+            var trxAmounts = self.limits_.getTransactionAmounts(transactionMetaDataPair);
+
+            self.logger().info("[NEM] [SIGN] ", __line, "Will sign " + trxHash + " with " + cosigAddress + " for " + multiAddress + ".");
+
+            //DEBUG self.logger().info("[NEM] [SIGN-SOCKET] [DEBUG]", __line, "now signing transaction: " + trxHash);
+
+            var broadcastable = self.signTransaction(transactionMetaDataPair, approved);
+            if (!broadcastable)
+            // transaction rejected
+                return callback ? callback(false) : false;
+
+            // (6) save signed transaction data to database.
+            var transaction = new self.db_.NEMSignedTransaction({
+                multisigXEM: multiAddress,
+                cosignerXEM: cosigAddress,
+                transactionHash: trxHash,
+                nemNodeData: { socketHost: self.connection().getSocketHost() },
+                transactionData: transactionMetaDataPair,
+                amountXEM: trxAmount,
+                mosaics: Object.keys(trxAmounts).map(function(slug) {
+                    return { slug: slug, quantity: trxAmounts[slug] };
+                }),
+                recipientXEM: self.blockchain_.getTransactionRecipient(transactionMetaDataPair),
+                message: self.blockchain_.getTransactionMessage(transactionMetaDataPair),
+                innerType: self.policy_.getTypeName(transactionMetaDataPair.transaction.otherTrans.type),
+                status: "signed",
+                signatureData: broadcastable,
+                announceAttempts: [],
+                deadline: self.blockchain_.getTransactionDeadline(transactionMetaDataPair),
+                createdAt: new Date().valueOf()
+            });
+
+            transaction.save(function(err, transaction) {
+                if (err) {
+                    self.logger().error("[NEM] [SIGN-SOCKET] [ERROR]", __line, "Error saving NEMSignedTransaction: " + err);
+                    return callback ? callback(false) : false;
+                }
+
+                var innerTrx = transactionMetaDataPair.transaction.otherTrans;
+                if (innerTrx.type === self.blockchain_.nem().model.transactionTypes.multisigModification) {
+                    // every co-signed multisig modification is audited
+                    self.recordAuditEvent("multisig_modification_signed", transactionMetaDataPair, {
+                        "modifications": innerTrx.modifications || [],
+                        "minCosignatories": innerTrx.minCosignatories ? innerTrx.minCosignatories.relativeChange : 0,
+                        "approved": approved
+                    });
+                }
+
+                // (7) broadcast signed signature transaction, work done for this NEMBot.
+                self.announceTransaction(transaction, callback);
+            });
+        };
+
         /**
          * Sign a transactionMetaDataPair transaction object. In case this is a multisig
          * transaction, it will sign the correct `transaction.otherTrans` underlying object.
          *
          * This function verifies the private key and transaction signature before
-         * issuing a signature itself and broadcasting it to the network.
+         * issuing a signature itself. The returned signature transaction data can
+         * be broadcast with `announceTransaction`.
          *
-         * The `callback` callable will be executed only in case of a successful broadcasting
-         * of the signed signature transaction.
+         * Soft rule violations (see `bot.sign.approval.softRules`) are accepted
+         * only for transactions `approved` by an operator.
          *
          * @param  [TransactionMetaDataPair]{@link http://bob.nem.ninja/docs/#transactionMetaDataPair} transactionMetaDataPair
-         * @param  {Function} callback                [description]
-         * @return {[type]}                           [description]
+         * @param  {Boolean}  approved                Whether an operator approved the transaction
+         * @return {String|Boolean}                   Broadcastable signature transaction or `false`
          */
-        this.signTransaction = function(transactionMetaDataPair, callback) {
+        this.signTransaction = function(transactionMetaDataPair, approved = false) {
             var self = this;
             var meta = transactionMetaDataPair.meta;
             var content = transactionMetaDataPair.transaction;
             var trxHash = self.blockchain_.getTransactionHash(transactionMetaDataPair);
 
             // (1) read config and check co-signing ability of this NEMBot (private key required)
-            var privateKey = self.blockchain_.getBotSignSecret();
-            var multisigWallet = self.blockchain_.getBotSignMultisigWallet();
+            var account = self.getTransactionAccount(transactionMetaDataPair);
+
+            if (!account)
+                throw "No signing account configured for the multisig account of this transaction.";
+
+            var privateKey = account.privateKey;
+            var multisigWallet = account.multisigAddress;
 
             if (!self.blockchain_.nem_.utils.helpers.isPrivateKeyValid(privateKey)) {
                 throw "Invalid private key in bot.json, Please fix to start co-signing NEM blockchain transactions.";
@@ -409,10 +1197,11 @@
 
             // (2) verify transaction validity on the blockchain
 
-            $result = self.verifyTransaction(transactionMetaDataPair);
+            var verdict = self.verifyTransaction(transactionMetaDataPair);
 
-            if (true !== $result) {
+            if (!verdict.valid && !(approved && self.isSoftRule(verdict.code))) {
                 // not signing this transaction.
+                self.saveRejection(transactionMetaDataPair, verdict.code, verdict.reason);
                 return false;
             }
 
@@ -435,26 +1224,174 @@
 
             //DEBUG self.logger().info("[NEM] [DEBUG] ", __line, 'Transaction "' + trxHash + '" signed: "' + signature.toString() + '"');
 
-            // (4) broadcast signed signature transaction, work done for this NEMBot.
+            return broadcastable;
+        };
+
+        /**
+         * Announce the signature of a NEMSignedTransaction. Every attempt is
+         * saved in `announceAttempts`, failed announces (NIS errors, "NEUTRAL"
+         * results or unreachable nodes) are retried against the alternate nodes
+         * of the configuration until `bot.sign.announce.maxAttempts` is reached.
+         *
+         * @param  {NEMSignedTransaction}   transaction
+         * @param  {Function}               callback    Called with the NEMSignedTransaction
+         * @return void
+         */
+        this.announceTransaction = function(transaction, callback = null) {
+            var self = this;
+            var announceConf = self.config().bot.sign.announce || {};
+            var maxAttempts = parseInt(announceConf.maxAttempts) || 3;
+            var endpoints = self.blockchain_.getAnnounceEndpoints();
+            var attempt = transaction.announceAttempts.length;
+            var endpoint = endpoints[attempt % endpoints.length];
+
+            var saveAttempt = function(result, message) {
+                var isSuccess = result == "SUCCESS";
+
+                transaction.announceAttempts.push({
+                    "node": endpoint.host + ":" + endpoint.port,
+                    "result": result,
+                    "message": message,
+                    "createdAt": new Date().valueOf()
+                });
+
+                transaction.markModified("announceAttempts");
+                transaction.lastError = isSuccess ? null : message;
+                transaction.updatedAt = new Date().valueOf();
+
+                if (isSuccess) {
+                    transaction.status = "announced";
+                    transaction.announcedAt = new Date().valueOf();
+                } else if (transaction.announceAttempts.length >= maxAttempts) {
+                    transaction.status = "failed";
+                }
+
+                transaction.save(function(err, transaction) {
+                    if (err)
+                        self.logger().error("[NEM] [SIGN-SOCKET] [ERROR]", __line, "Error saving NEMSignedTransaction: " + err);
+
+                    if (isSuccess) {
+                        self.logger().info("[NEM] [SIGN-SOCKET]", __line, 'Transaction co-signed and broadcast: "' + transaction.transactionHash + '" with response: "' + message + '".');
+                    } else if (transaction.status == "failed") {
+                        self.logger().error("[NEM] [SIGN-SOCKET] [ERROR]", __line, 'Giving up announce of "' + transaction.transactionHash + '" after ' + transaction.announceAttempts.length + " attempts: " + message);
+                    } else {
+                        // retry with the next node
+                        self.logger().warn("[NEM] [SIGN-SOCKET] [RETRY]", __line, 'Announce of "' + transaction.transactionHash + '" failed on ' + endpoint.host + ": " + message);
+                        return self.announceTransaction(transaction, callback);
+                    }
+
+                    if (callback)
+                        return callback(transaction);
+                });
+            };
+
             self.blockchain_.nem().com.requests
-                .transaction.announce(self.blockchain_.endpoint(), broadcastable)
+                .transaction.announce(endpoint, transaction.signatureData)
                 .then(function(res) {
                     //DEBUG self.logger().info("[NEM] [SIGN-SOCKET]", __line, 'Transaction Annouce Response: "' + JSON.stringify(res));
 
-                    if (res.code >= 2) {
-                        self.blockchain_.logger().error("[NEM] [SIGN-SOCKET] [ERROR]", __line, "Error announcing transaction: " + res.message);
-                    } else if ("SUCCESS" == res.message) {
-                        // transaction broadcast successfully.
+                    if ("SUCCESS" == res.message)
+                        return saveAttempt("SUCCESS", res.message);
 
-                        self.logger().info("[NEM] [SIGN-SOCKET]", __line, 'Transaction co-signed and broadcast: "' + trxHash + '" with response: "' + res.message + '".');
-                        callback(res);
-                    }
-                    // "NEUTRAL" will not trigger callback
+                    // "NEUTRAL" and errors are failed attempts
+                    return saveAttempt(res.code >= 2 ? "FAILURE" : "NEUTRAL", res.message);
+                }, function(err) {
+                    saveAttempt("ERROR", typeof err == "object" ? JSON.stringify(err) : String(err));
+                });
+        };
+
+        /**
+         * Confirm that announced co-signatures have landed. Every announced
+         * NEMSignedTransaction is read by hash with the HTTP API and marked
+         * `confirmed` when its multisig transaction is included in a block.
+         * Entries for which the transaction deadline has passed are marked
+         * `failed`.
+         *
+         * Entries still `signed` 5 minutes after their last update were never
+         * announced (e.g. the NEMBot stopped in between), those are announced
+         * again.
+         *
+         * @return void
+         */
+        this.confirmAnnouncedTransactions = function() {
+            var self = this;
+            var staleTime = new Date().valueOf() - 5 * 60 * 1000;
+
+            self.db_.NEMSignedTransaction.find({ status: { $in: ["signed", "announced"] } }, function(err, transactions) {
+                if (err)
+                    return self.logger().error("[NEM] [SIGN-SOCKET] [ERROR]", __line, "Error reading NEMSignedTransaction: " + err);
+
+                transactions.forEach(function(transaction) {
+                    if (transaction.status == "announced")
+                        return self.confirmTransaction(transaction);
+
+                    if ((transaction.updatedAt || transaction.createdAt) > staleTime)
+                    // announce may still be running
+                        return false;
+
+                    if (transaction.deadline && transaction.deadline < new Date().valueOf())
+                        return self.saveTransactionStatus(transaction, "failed", "Transaction deadline passed before the announce.");
+
+                    self.logger().warn("[NEM] [SIGN-SOCKET] [RETRY]", __line, 'Co-signed transaction "' + transaction.transactionHash + '" was never announced, announcing now.');
+                    self.announceTransaction(transaction);
+                });
+            });
+        };
+
+        /**
+         * Read an announced NEMSignedTransaction by hash with the HTTP API
+         * and update its status.
+         *
+         * @param  {NEMSignedTransaction}   transaction
+         * @return void
+         */
+        this.confirmTransaction = function(transaction) {
+            var self = this;
+            var isExpired = transaction.deadline && transaction.deadline < new Date().valueOf();
+
+            self.blockchain_.nem().com.requests.transaction
+                .byHash(self.blockchain_.endpoint(), transaction.transactionHash)
+                .then(function(res) {
+                    if (!res.meta || !res.meta.height)
+                        return false;
+
+                    transaction.blockHeight = res.meta.height;
+                    transaction.confirmedAt = new Date().valueOf();
+                    self.saveTransactionStatus(transaction, "confirmed");
                 }, function(err) {
-                    self.logger().error("[NEM] [SIGN-SOCKET] [ERROR]", __line, "Signing error: " + err);
+                    if (!/not found/i.test(JSON.stringify(err)))
+                        return self.logger().error("[NEM] [ERROR] [SIGN-FALLBACK]", __line, "NIS API transaction.byHash Error: " + JSON.stringify(err));
+
+                    if (isExpired)
+                        self.saveTransactionStatus(transaction, "failed", "Transaction deadline passed without confirmation.");
                 });
         };
 
+        /**
+         * Save the status of a NEMSignedTransaction.
+         *
+         * @param  {NEMSignedTransaction}   transaction
+         * @param  {String}                 status
+         * @param  {String|null}            lastError
+         * @return void
+         */
+        this.saveTransactionStatus = function(transaction, status, lastError = null) {
+            var self = this;
+
+            transaction.status = status;
+            transaction.updatedAt = new Date().valueOf();
+
+            if (lastError)
+                transaction.lastError = lastError;
+
+            transaction.save(function(err, transaction) {
+                if (err)
+                    return self.logger().error("[NEM] [SIGN-SOCKET] [ERROR]", __line, "Error saving NEMSignedTransaction: " + err);
+
+                self.logger().info("[NEM] [SIGN-SOCKET]", __line, 'Co-signed transaction "' + transaction.transactionHash + '" is now ' + transaction.status + '.');
+            });
+        };
+
         var self = this; {
             // nothing more done on instanciation
         }
@@ -462,4 +1399,5 @@
 
 
     module.exports.MultisigCosignatory = MultisigCosignatory;
+    module.exports.RejectionCodes = RejectionCodes;
 }());
\ No newline at end of file
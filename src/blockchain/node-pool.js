@@ -0,0 +1,487 @@
+/**
+ * Part of the evias/nem-nodejs-bot package.
+ *
+ * NOTICE OF LICENSE
+ *
+ * Licensed under MIT License.
+ *
+ * This source file is subject to the MIT License that is
+ * bundled with this package in the LICENSE file.
+ *
+ * @package    evias/nem-nodejs-bot
+ * @author     Grégory Saive <greg@evias.be> (https://github.com/evias)
+ * @license    MIT License
+ * @copyright  (c) 2017, Grégory Saive <greg@evias.be>
+ * @link       https://github.com/evias/nem-nodejs-bot
+ */
+
+(function() {
+
+    var http = require("http"),
+        https = require("https"),
+        url = require("url");
+
+    /**
+     * class NodePool implements the health scoring of the NIS nodes
+     * configured in `nem.nodes` (or `nem.nodes_test`).
+     *
+     * Every node is probed periodically for its chain height (`/chain/height`),
+     * its response latency and its network ID (`/node/info`). Nodes are
+     * banned for `bot.nodePool.banDuration` in following cases:
+     *
+     * - The node did not respond or responded with an error
+     * - The node is connected to another network than this NEMBot
+     * - The node lags more than `maxHeightLag` blocks behind the consensus height
+     *
+     * The consensus height is the median height of the responding nodes. The
+     * remaining nodes are ranked by score, the best healthy node is used by
+     * all modules through `service.endpoint()`.
+     *
+     * @author  Grégory Saive <greg@evias.be> (https://github.com/evias)
+     */
+    var NodePool = function(chainDataLayer) {
+
+        this.blockchain_ = chainDataLayer;
+
+        this.nodes_ = null;
+        this.consensusHeight_ = 0;
+        this.worker_ = null;
+        this.logLabel = "NODE-POOL";
+
+        this.logger = function() {
+            return this.blockchain_.logger();
+        };
+
+        this.config = function() {
+            return this.blockchain_.conf_;
+        };
+
+        /**
+         * Read the node pool configuration `bot.nodePool`.
+         *
+         * @return {Object}
+         */
+        this.getOptions = function() {
+            var conf = this.config().bot.nodePool || {};
+
+            return {
+                "interval": parseInt(conf.interval) || 60 * 1000,
+                "timeout": parseInt(conf.timeout) || 5 * 1000,
+                "maxHeightLag": parseInt(conf.maxHeightLag) || 5,
+                "banDuration": parseInt(conf.banDuration) || 10 * 60 * 1000
+            };
+        };
+
+        /**
+         * Get the state of all nodes of the pool. The list is initialized
+         * with the configured nodes and the node configured with the
+         * NEM_HOST and NEM_PORT environment variables.
+         *
+         * @return {Array}
+         */
+        this.getNodes = function() {
+            if (this.nodes_ !== null)
+                return this.nodes_;
+
+            var self = this;
+            var configured = (self.config().nem["nodes" + self.blockchain_.confSuffix] || []).slice();
+            var current = self.blockchain_.endpoint();
+
+            var isConfigured = configured.some(function(node) {
+                return node.host == current.host && node.port == current.port;
+            });
+
+            if (!isConfigured)
+                configured.unshift({ host: current.host, port: current.port });
+
+            self.nodes_ = configured.map(function(node) {
+                return {
+                    "host": node.host,
+                    "port": node.port,
+                    "height": 0,
+                    "latency": null,
+                    "networkId": null,
+                    "score": 0,
+                    "failures": 0,
+                    "bannedUntil": 0,
+                    "banReason": null,
+                    "probedAt": 0
+                };
+            });
+
+            return self.nodes_;
+        };
+
+        /**
+         * Find the pool entry of a node.
+         *
+         * @param  {String}     host
+         * @param  {Integer}    port
+         * @return {Object|null}
+         */
+        this.getNode = function(host, port) {
+            var nodes = this.getNodes();
+            for (var i = 0; i < nodes.length; i++) {
+                if (nodes[i].host == host && nodes[i].port == port)
+                    return nodes[i];
+            }
+
+            return null;
+        };
+
+        /**
+         * Whether a node is currently banned.
+         *
+         * @param  {Object}     node
+         * @return {Boolean}
+         */
+        this.isBanned = function(node) {
+            return node.bannedUntil > new Date().valueOf();
+        };
+
+        /**
+         * Ban a node for `banDuration` Milliseconds.
+         *
+         * @param  {Object}     node
+         * @param  {String}     reason
+         * @return {NodePool}
+         */
+        this.ban = function(node, reason) {
+            if (!this.isBanned(node))
+                this.logger().warn("[NEM] [" + this.logLabel + "]", __line, "Banning node " + node.host + ":" + node.port + ": " + reason);
+
+            node.bannedUntil = new Date().valueOf() + this.getOptions().banDuration;
+            node.banReason = reason;
+            node.score = 0;
+            return this;
+        };
+
+        /**
+         * Report a failure with a node, e.g. a lost websocket connection.
+         * The node is banned such that it is not picked again directly.
+         *
+         * @param  {String}     host
+         * @param  {Integer}    port
+         * @param  {String}     reason
+         * @return {NodePool}
+         */
+        this.reportFailure = function(host, port, reason) {
+            var node = this.getNode(host, port);
+            if (!node)
+                return this;
+
+            node.failures++;
+            return this.ban(node, reason);
+        };
+
+        /**
+         * Send a HTTP GET request to a node and parse the JSON response.
+         *
+         * @param  {Object}     node
+         * @param  {String}     path
+         * @param  {Function}   callback    Called with (err, data)
+         * @return void
+         */
+        this.request = function(node, path, callback) {
+            var self = this;
+            var options = self.getOptions();
+            var target = url.parse(node.host + ":" + node.port + path);
+            var transport = target.protocol == "https:" ? https : http;
+            var isDone = false;
+
+            var done = function(err, data) {
+                if (isDone) return false;
+                isDone = true;
+
+                return callback(err, data);
+            };
+
+            try {
+                var request = transport.get({
+                    hostname: target.hostname,
+                    port: target.port,
+                    path: target.path
+                }, function(res) {
+                    var body = "";
+                    res.setEncoding("utf8");
+                    res.on("data", function(chunk) { body += chunk; });
+                    res.on("end", function() {
+                        if (res.statusCode !== 200)
+                            return done("HTTP Error " + res.statusCode);
+
+                        try {
+                            return done(null, JSON.parse(body));
+                        } catch (e) {
+                            return done("Invalid JSON response");
+                        }
+                    });
+                });
+
+                request.setTimeout(options.timeout, function() {
+                    request.abort();
+                    done("Request timed out after " + options.timeout + "ms");
+                });
+
+                request.on("error", function(err) {
+                    done(err.toString());
+                });
+            } catch (e) {
+                done(e.toString());
+            }
+        };
+
+        /**
+         * Probe the chain height, latency and network ID of a node.
+         *
+         * @param  {Object}     node
+         * @param  {Function}   callback    Called with the node
+         * @return void
+         */
+        this.probeNode = function(node, callback) {
+            var self = this;
+            var startedAt = new Date().valueOf();
+
+            self.request(node, "/chain/height", function(err, chain) {
+                node.probedAt = new Date().valueOf();
+
+                if (err || !chain || !chain.height) {
+                    node.failures++;
+                    node.height = 0;
+                    node.latency = null;
+                    self.ban(node, "Probe failed: " + (err || "no chain height"));
+                    return callback(node);
+                }
+
+                node.height = chain.height;
+                node.latency = node.probedAt - startedAt;
+
+                self.request(node, "/node/info", function(err, info) {
+                    if (err || !info || !info.metaData) {
+                        node.failures++;
+                        self.ban(node, "Probe failed: " + (err || "no node info"));
+                        return callback(node);
+                    }
+
+                    node.networkId = info.metaData.networkId;
+                    node.failures = 0;
+                    return callback(node);
+                });
+            });
+        };
+
+        /**
+         * Probe all nodes of the pool, then rank them.
+         *
+         * @param  {Function}   callback    Called with the ranked nodes
+         * @return void
+         */
+        this.probeAll = function(callback = null) {
+            var self = this;
+            var nodes = self.getNodes();
+            var cntDone = 0;
+
+            for (var i = 0; i < nodes.length; i++) {
+                self.probeNode(nodes[i], function() {
+                    if (++cntDone < nodes.length)
+                        return false;
+
+                    var ranked = self.rank();
+                    if (callback)
+                        return callback(ranked);
+                });
+            }
+        };
+
+        /**
+         * Compute the consensus height, ban lagging and wrong network nodes
+         * and score the healthy nodes. The score is 100 for a node at the
+         * consensus height responding instantly, every block lagging
+         * behind costs 10 points and every 100ms of latency costs 1 point.
+         *
+         * @return {Array}  Healthy nodes ordered by score (best first)
+         */
+        this.rank = function() {
+            var self = this;
+            var options = self.getOptions();
+            var networkId = self.blockchain_.getNetwork().config.id;
+
+            var heights = self.getNodes().filter(function(node) {
+                return node.height > 0 && node.networkId === networkId;
+            }).map(function(node) {
+                return node.height;
+            }).sort(function(a, b) { return a - b; });
+
+            self.consensusHeight_ = heights.length ? heights[Math.floor(heights.length / 2)] : 0;
+
+            self.getNodes().forEach(function(node) {
+                if (!node.height)
+                    return;
+
+                if (node.networkId !== null && node.networkId !== networkId)
+                    return self.ban(node, "Wrong network ID " + node.networkId);
+
+                var lag = Math.max(0, self.consensusHeight_ - node.height);
+                if (lag > options.maxHeightLag)
+                    return self.ban(node, "Height " + node.height + " lags " + lag + " blocks behind consensus height " + self.consensusHeight_);
+
+                node.score = Math.max(1, 100 - lag * 10 - Math.floor((node.latency || 0) / 100));
+            });
+
+            return self.getHealthyNodes();
+        };
+
+        /**
+         * Get the probed nodes which are not banned, ordered by score.
+         *
+         * @return {Array}
+         */
+        this.getHealthyNodes = function() {
+            var self = this;
+
+            return self.getNodes().filter(function(node) {
+                return node.probedAt > 0 && node.height > 0 && !self.isBanned(node);
+            }).sort(function(a, b) {
+                return b.score - a.score;
+            });
+        };
+
+        /**
+         * Get the best healthy node. Nodes listed in `exclude` are only
+         * returned when no other healthy node is available. When no node
+         * was probed yet, the next configured node is returned.
+         *
+         * @param  {Array}  exclude     List of `{host, port}` objects
+         * @return {Object|null}
+         */
+        this.getBestNode = function(exclude = []) {
+            var self = this;
+            var isExcluded = function(node) {
+                return exclude.some(function(excluded) {
+                    return excluded.host == node.host && excluded.port == node.port;
+                });
+            };
+
+            var healthy = self.getHealthyNodes();
+            var candidates = healthy.filter(function(node) { return !isExcluded(node); });
+
+            if (candidates.length)
+                return candidates[0];
+
+            // no healthy alternative, try the nodes which are not banned
+            var nodes = self.getNodes().filter(function(node) {
+                return !isExcluded(node) && !self.isBanned(node);
+            });
+
+            if (nodes.length)
+                return nodes[0];
+
+            return healthy.length ? healthy[0] : null;
+        };
+
+        /**
+         * Switch the blockchain service endpoint to the best healthy node.
+         *
+         * @param  {Array}  exclude     List of `{host, port}` objects
+         * @return {Object} The endpoint now in use
+         */
+        this.useBestNode = function(exclude = []) {
+            var self = this;
+            var node = self.getBestNode(exclude);
+            var current = self.blockchain_.endpoint();
+
+            if (node && (node.host != current.host || node.port != current.port)) {
+                self.logger().info("[NEM] [" + self.logLabel + "]", __line, "Now using node " + node.host + ":" + node.port + " (score " + node.score + ", height " + node.height + ").");
+                self.blockchain_.setEndpoint(node.host, node.port);
+            }
+
+            return self.blockchain_.endpoint();
+        };
+
+        /**
+         * Get the status of the pool, used in the API.
+         *
+         * @return {Object}
+         */
+        this.getStatus = function() {
+            var self = this;
+            var current = self.blockchain_.endpoint();
+
+            return {
+                "current": { "host": current.host, "port": current.port },
+                "consensusHeight": self.consensusHeight_,
+                "nodes": self.getNodes().map(function(node) {
+                    return {
+                        "host": node.host,
+                        "port": node.port,
+                        "height": node.height,
+                        "latency": node.latency,
+                        "networkId": node.networkId,
+                        "score": node.score,
+                        "failures": node.failures,
+                        "banned": self.isBanned(node),
+                        "banReason": self.isBanned(node) ? node.banReason : null,
+                        "probedAt": node.probedAt
+                    };
+                })
+            };
+        };
+
+        /**
+         * Start probing the nodes periodically. The endpoint is switched
+         * when the node in use gets banned.
+         *
+         * @param  {Function}   callback    Called after the first probe
+         * @return {NodePool}
+         */
+        this.start = function(callback = null) {
+            var self = this;
+
+            if (self.worker_ !== null)
+                clearInterval(self.worker_);
+
+            var probe = function(callback) {
+                self.probeAll(function(ranked) {
+                    var current = self.blockchain_.endpoint();
+                    var node = self.getNode(current.host, current.port);
+
+                    if (!node || self.isBanned(node))
+                        self.useBestNode([current]);
+
+                    if (callback)
+                        return callback(ranked);
+                });
+            };
+
+            self.worker_ = setInterval(probe, self.getOptions().interval);
+
+            // start with the best node
+            probe(function(ranked) {
+                self.useBestNode();
+
+                if (callback)
+                    return callback(ranked);
+            });
+
+            return self;
+        };
+
+        /**
+         * Stop probing the nodes.
+         *
+         * @return {NodePool}
+         */
+        this.stop = function() {
+            if (this.worker_ !== null)
+                clearInterval(this.worker_);
+
+            this.worker_ = null;
+            return this;
+        };
+
+        var self = this; {
+            // nothing more done on instanciation
+        }
+    };
+
+    module.exports.NodePool = NodePool;
+}());
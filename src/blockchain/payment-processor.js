@@ -17,10 +17,6 @@
 
 (function() {
 
-    var nemAPI = require("nem-api");
-    var BlocksAuditor = require("./blocks-auditor.js").BlocksAuditor;
-    var SocketErrorHandler = require("./socket-error-handler.js").SocketErrorHandler;
-
     /**
      * class PaymentProcessor implements a simple payment processor using the
      * NEM Blockchain and Websockets.
@@ -36,25 +32,22 @@
      * @author  Grégory Saive <greg@evias.be> (https://github.com/evias)
      */
     var PaymentProcessor = function(chainDataLayer) {
-        var api_ = nemAPI;
 
         this.blockchain_ = chainDataLayer;
         this.db_ = this.blockchain_.getDatabaseAdapter();
 
-        this.nemsocket_ = null;
         this.backend_ = null;
         this.channel_ = null;
         this.params_ = null;
         this.caughtTrxs_ = null;
         this.socketById = {};
-        this.nemConnection_ = null;
-        this.nemSubscriptions_ = {};
         this.confirmedTrxes = {};
         this.unconfirmedTrxes = {};
-        this.transactionPool = {};
+        this.replaying_ = {};
+        this.fallback_ = null;
+        this.expiryScheduler_ = null;
+        this.watchedRecipients_ = [];
 
-        this.auditor_ = null;
-        this.errorHandler_ = null;
         this.moduleName = "pay-socket";
         this.logLabel = "PAY-SOCKET";
 
@@ -70,32 +63,30 @@
             return this.blockchain_.conf_;
         };
 
+        this.connection = function() {
+            return this.blockchain_.getConnectionManager();
+        };
+
         this.getAuditor = function() {
-            return this.auditor_;
+            return this.connection().getAuditor();
         };
 
         this.getErrorHandler = function() {
-            return this.errorHandler_;
+            return this.connection().getErrorHandler();
         };
 
-        // define helper for handling incoming transactions. This helper is called from a callback
-        // function provided to NEMPaymentChannel.matchTransactionToChannel and always has a ```paymentChannel``` set.
+        // define helper for handling incoming transactions. This helper is called from
+        // transactionMatchResultHandler and always has a ```paymentChannel``` set.
         // this helper function will emit the payment status update.
         var websocketChannelTransactionHandler = function(instance, paymentChannel, transactionMetaDataPair, status, trxGateway) {
-            var backendSocketId = paymentChannel.socketIds[paymentChannel.socketIds.length - 1];
-            var forwardToSocket = null;
+            var forwardToSocket = instance.getChannelSocket(paymentChannel);
+            var backendSocketId = typeof forwardToSocket == "object" ? forwardToSocket.id : forwardToSocket;
 
             var invoice = paymentChannel.message && paymentChannel.message.length ? paymentChannel.message : paymentChannel.getPayer();
             var trxHash = transactionMetaDataPair.meta.hash.data;
             if (transactionMetaDataPair.meta.innerHash.data && transactionMetaDataPair.meta.innerHash.data.length)
                 trxHash = transactionMetaDataPair.meta.innerHash.data;
 
-            if (instance.socketById.hasOwnProperty(backendSocketId)) {
-                forwardToSocket = instance.socketById[backendSocketId];
-            } else
-                forwardToSocket = backendSocketId;
-            //DEBUG instance.logger().warn("[NEM] [WARNING]", __line, 'no backend socket available for Socket ID "' + backendSocketId + '"!');
-
             // save this transaction in our history
             instance.db_.NEMPaymentChannel
                 .acknowledgeTransaction(paymentChannel, transactionMetaDataPair, status, function(paymentChannel) {
@@ -105,229 +96,260 @@
 
                         // Payment is relevant - emit back payment status update
                         instance.emitPaymentUpdate(forwardToSocket, paymentChannel, status);
+
+                        if ("confirmed" == status && paymentChannel.getRefundableAmount() > 0)
+                            instance.handleOverpayment(paymentChannel);
                     }
                 });
         };
 
-        // define fallback in case websocket does not catch transaction!
-        //XXX function documentation
-        var websocketFallbackHandler = function(instance) {
-            // start recursion for loading more than 25 transactions
-            // the callback will be executed only after reading ALL
-            // transactions (paginating by steps of 25 transactions).
-            instance.fetchPaymentDataFromBlockchain(null, function(instance) {
-                // we can now fetch all DB entries for the fetched transactions
-                // in order to be able to match transactions to Invoices.
-                var query = {
-                    status: "confirmed",
-                    transactionHash: {
-                        $in: Object.getOwnPropertyNames(instance.transactionPool)
-                    }
-                };
+        // define helper for handling the result of NEMPaymentChannel.matchTransactionToChannel. Matched
+        // transactions are acknowledged, confirmed incoming transactions which could not be attributed
+        // to exactly one payment channel are saved for manual reconciliation.
+        var transactionMatchResultHandler = function(instance, result, status, trxGateway) {
+            var results = instance.db_.NEMPaymentChannel.MATCH_RESULTS;
 
-                instance.db_.NEMTransactionPool.find(query, function(err, entries) {
-                        if (err) {
-                            instance.logger().error("[NEM] [ERROR] [PAY-FALLBACK]", __line, "Error reading NEMTransactionPool: " + err);
-                            // error happened
-                            return false;
-                        }
+            if (result.status === results.MATCHED)
+                return websocketChannelTransactionHandler(instance, result.channel, result.transaction, status, trxGateway);
 
-                        var unprocessed = instance.transactionPool;
-                        if (entries) {
-                            var processed = {};
-                            for (var i = 0; i < entries.length; i++) {
-                                var entry = entries[i];
-                                processed[entry.transactionHash] = true;
-                            }
+            if (result.status === results.IGNORED || "confirmed" != status)
+                return false;
 
-                            var keysPool = Object.getOwnPropertyNames(instance.transactionPool);
-                            var keysDb = Object.getOwnPropertyNames(processed);
+            var recipient = instance.blockchain_.getTransactionRecipient(result.transaction);
+            if (!instance.isWatchedRecipient(recipient))
+            // only incoming transactions are payments
+                return false;
 
-                            unprocessed = keysPool.filter(function(hash, idx) {
-                                return keysDb.indexOf(hash) < 0;
-                            });
-
-                            if (!unprocessed.length)
-                                return false;
-                        }
-
-                        //DEBUG instance.logger().info("[NEM] [PAY-FALLBACK] [TRY] ", __line, "trying to match " + unprocessed.length + " unprocessed transactions from " + instance.blockchain_.getBotReadWallet() + ".");
-
-                        for (var j = 0; j < unprocessed.length; j++) {
-                            var trxHash = unprocessed[j];
-                            var transaction = instance.transactionPool[trxHash];
+            instance.saveUnmatchedPayment(result);
+        };
 
-                            if (!transaction)
-                                continue;
+        // define fallback in case websocket does not catch transaction! The fallback
+        // reads the incoming transactions of all watched recipients (or of the given
+        // `recipients` list).
+        var websocketFallbackHandler = function(instance, recipients = null) {
+            if (recipients === null)
+                recipients = instance.getWatchedRecipients();
 
-                            var creation = new self.db_.NEMTransactionPool({
-                                status: "confirmed",
-                                transactionHash: trxHash,
-                                createdAt: new Date().valueOf()
-                            });
-                            creation.save();
+            for (var r = 0; r < recipients.length; r++)
+                recipientFallbackHandler(instance, recipients[r]);
+        };
 
-                            instance.db_.NEMPaymentChannel.matchTransactionToChannel(instance.blockchain_, transaction, function(paymentChannel, trx) {
-                                if (paymentChannel !== false) {
-                                    websocketChannelTransactionHandler(instance, paymentChannel, trx, "confirmed", "PAY-FALLBACK");
-                                }
-                            });
-                        }
-                    },
-                    function(err) {
-                        instance.logger().error("[NEM] [PAY-FALLBACK] [ERROR] ", __line, "Error reading NEMTransactionPool: " + err);
-                    });
-            });
+        // define fallback for one recipient address, this will replay the recipient's incoming
+        // transactions after the NEMAccountCursor of the recipient.
+        var recipientFallbackHandler = function(instance, recipient) {
+            instance.replayTransactions(recipient);
         };
 
         /**
-         * Open the connection to a Websocket to the NEM Blockchain endpoint configured
-         * through ```this.blockchain_```.
+         * Register the payment processor with the shared websocket connection
+         * of the ConnectionManager and subscribe to the transactions of all
+         * watched recipients.
          *
-         * @return {[type]} [description]
+         * @return {ConnectionManager}
          */
         this.connectBlockchainSocket = function() {
             var self = this;
 
-            // initialize the socket connection with the current
-            // blockchain instance connected endpoint
-            self.nemsocket_ = new api_(self.blockchain_.getNetwork().host + ":" + self.blockchain_.getNetwork().port);
-
-            self.errorHandler_ = new SocketErrorHandler(self);
-
-            // Connect to NEM Blockchain Websocket now
-            self.nemConnection_ = self.nemsocket_.connectWS(function() {
-                // on connection we subscribe only to the /errors websocket.
-                // PaymentProcessor will open
-                try {
-                    self.logger()
-                        .info("[NEM] [PAY-SOCKET] [CONNECT]", __line,
-                            "Connection established with node: " + JSON.stringify(self.nemsocket_.socketpt));
-
-                    // NEM Websocket Error listening
-                    self.logger().info("[NEM] [PAY-SOCKET]", __line, 'subscribing to /errors.');
-                    self.nemSubscriptions_["/errors"] = self.nemsocket_.subscribeWS("/errors", function(message) {
-                        self.logger()
-                            .error("[NEM] [PAY-SOCKET] [ERROR]", __line,
-                                "Error Happened: " + message.body);
-                    });
+            self.connection().register(self);
 
-                    self.auditor_ = new BlocksAuditor(self);
+            // NEM Websocket transactions Listeners for all watched recipients
+            self.refreshRecipientSubscriptions();
 
-                    var unconfirmedUri = "/unconfirmed/" + self.blockchain_.getBotReadWallet();
-                    var confirmedUri = "/transactions/" + self.blockchain_.getBotReadWallet();
-                    var sendUri = "/w/api/account/transfers/all";
+            // fallback handler queries the blockchain every 5 minutes
+            // ONLY IN CASE THE BLOCKS WEBSOCKET HAS NOT FILLED DATA FOR
+            // 5 MINUTES ANYMORE (meaning the websocket connection is buggy).
+            if (self.fallback_ !== null) clearInterval(self.fallback_);
+            self.fallback_ = setInterval(function() {
+                self.connection().getLastBlock(function(err, lastBlock) {
+                    var nowTime = new Date().valueOf();
+                    if (!err && (!lastBlock || lastBlock.createdAt < (nowTime - 5 * 60 * 1000))) {
+                        // last block is 5 minutes old, use the FALLBACK!
+                        websocketFallbackHandler(self);
+                    }
+                });
+            }, 300 * 1000);
 
-                    // NEM Websocket unconfirmed transactions Listener
-                    self.logger().info("[NEM] [PAY-SOCKET]", __line, 'subscribing to /unconfirmed/' + self.blockchain_.getBotReadWallet() + '.');
-                    self.nemSubscriptions_[unconfirmedUri] = self.nemsocket_.subscribeWS(unconfirmedUri, function(message) {
-                        var parsed = JSON.parse(message.body);
-                        self.logger().info("[NEM] [PAY-SOCKET]", __line, 'unconfirmed(' + JSON.stringify(parsed) + ')');
+            // missed transactions are replayed on every (re-)connection
+            if (self.connection().isConnected())
+                websocketFallbackHandler(self);
 
-                        var transactionData = JSON.parse(message.body);
-                        var trxHash = self.blockchain_.getTransactionHash(transactionData);
+            return self.connection().connect();
+        };
 
-                        self.db_.NEMTransactionPool.findOne({ transactionHash: trxHash }, function(err, entry) {
-                            if (err || entry)
-                            // error OR entry FOUND => transaction not processed this time.
-                                return false;
+        /**
+         * Get the list of recipient addresses watched by the payment processor.
+         * This always contains the Bot's read wallet and the recipients of all
+         * open payment channels (see `refreshRecipientSubscriptions`).
+         *
+         * @return {Array}
+         */
+        this.getWatchedRecipients = function() {
+            if (this.watchedRecipients_.indexOf(this.blockchain_.getBotReadWallet()) === -1)
+                this.watchedRecipients_.unshift(this.blockchain_.getBotReadWallet());
 
-                            var creation = new self.db_.NEMTransactionPool({
-                                status: "unconfirmed",
-                                transactionHash: trxHash,
-                                createdAt: new Date().valueOf()
-                            });
-                            creation.save();
+            return this.watchedRecipients_;
+        };
 
-                            self.db_.NEMPaymentChannel.matchTransactionToChannel(self.blockchain_, transactionData, function(paymentChannel) {
-                                if (paymentChannel !== false) {
-                                    websocketChannelTransactionHandler(self, paymentChannel, transactionData, "unconfirmed", "SOCKET");
-                                }
-                            });
-                        });
-                    });
+        /**
+         * Check whether the given address is watched by the payment processor.
+         *
+         * @param  {String}  address
+         * @return {Boolean}
+         */
+        this.isWatchedRecipient = function(address) {
+            return this.getWatchedRecipients().indexOf(address) !== -1;
+        };
 
-                    // NEM Websocket confirmed transactions Listener
-                    self.logger().info("[NEM] [PAY-SOCKET]", __line, 'subscribing to /transactions/' + self.blockchain_.getBotReadWallet() + '.');
-                    self.nemSubscriptions_[confirmedUri] = self.nemsocket_.subscribeWS(confirmedUri, function(message) {
-                        var parsed = JSON.parse(message.body);
-                        self.logger().info("[NEM] [PAY-SOCKET]", __line, 'transactions(' + JSON.stringify(parsed) + ')');
-
-                        var transactionData = JSON.parse(message.body);
-                        var trxHash = self.blockchain_.getTransactionHash(transactionData);
-
-                        // this time also include "status" filtering.
-                        self.db_.NEMTransactionPool.findOne({ status: "confirmed", transactionHash: trxHash }, function(err, entry) {
-                            if (err || entry)
-                            // error OR entry FOUND => transaction not processed this time.
-                                return false;
-
-                            var creation = new self.db_.NEMTransactionPool({
-                                status: "confirmed",
-                                transactionHash: trxHash,
-                                createdAt: new Date().valueOf()
-                            });
-                            creation.save();
+        /**
+         * Get the duration during which the recipient of a paid, expired or
+         * cancelled payment channel is still watched, such that late payments
+         * and overpayments are received (`bot.read.lateGracePeriod`).
+         *
+         * @return {Integer}    Duration in Milliseconds
+         */
+        this.getLateGracePeriod = function() {
+            var gracePeriod = parseInt(this.config().bot.read.lateGracePeriod);
+            return isNaN(gracePeriod) ? 24 * 60 * 60 * 1000 : gracePeriod;
+        };
 
-                            self.db_.NEMPaymentChannel.matchTransactionToChannel(self.blockchain_, transactionData, function(paymentChannel) {
-                                if (paymentChannel !== false) {
-                                    websocketChannelTransactionHandler(self, paymentChannel, transactionData, "confirmed", "SOCKET");
-                                }
-                            });
-                        });
-                    });
+        /**
+         * Update the websocket subscriptions such that the payment processor listens
+         * to the transactions of every distinct recipient of open payment channels
+         * and of the Bot's read wallet. Recipients of channels which were paid,
+         * expired or cancelled during the last `getLateGracePeriod` Milliseconds
+         * are also watched. Other recipients are unsubscribed.
+         *
+         * @param  {Function}   callback
+         * @return void
+         */
+        this.refreshRecipientSubscriptions = function(callback = null) {
+            var self = this;
+            var closedSince = new Date().valueOf() - self.getLateGracePeriod();
+            var query = {
+                $or: [
+                    { status: { $in: self.db_.NEMPaymentChannel.OPEN_STATUSES } },
+                    { paidAt: { $gte: closedSince } },
+                    { expiredAt: { $gte: closedSince } },
+                    { cancelledAt: { $gte: closedSince } }
+                ]
+            };
+
+            self.db_.NEMPaymentChannel.distinct("recipientXEM", query, function(err, recipients) {
+                if (err) {
+                    self.logger().error("[NEM] [ERROR] [PAY-SOCKET]", __line, "Error reading NEMPaymentChannel recipients: " + err);
+                    return callback ? callback(self.getWatchedRecipients()) : false;
+                }
+
+                var readWallet = self.blockchain_.getBotReadWallet();
+                var watched = [readWallet].concat(recipients.filter(function(address) {
+                    return address && address.length && address != readWallet;
+                }));
 
-                    //self.nemsocket_.sendWS(sendUri, {}, JSON.stringify({ account: self.blockchain_.getBotReadWallet() }));
+                var previous = self.watchedRecipients_;
+                self.watchedRecipients_ = watched;
 
-                } catch (e) {
-                    // On Exception, restart connection process
-                    self.connectBlockchainSocket();
+                for (var i = 0; i < previous.length; i++) {
+                    if (watched.indexOf(previous[i]) === -1)
+                        self.unsubscribeRecipient(previous[i]);
                 }
 
-            }, self.errorHandler_.handle);
+                for (var j = 0; j < watched.length; j++)
+                    self.subscribeRecipient(watched[j]);
 
-            return self.nemsocket_;
+                if (callback)
+                    return callback(watched);
+            });
         };
 
         /**
-         * This method will unsubscribe from websocket channels and
-         * disconnect the websocket.
-         * 
-         * @return void
+         * Subscribe to the /unconfirmed/ and /transactions/ websocket channels
+         * of the given recipient address. Nothing is done in case the websocket
+         * is not connected or the address is already subscribed.
+         *
+         * @param  {String}     address
+         * @return {Boolean}
          */
-        this.disconnectBlockchainSocket = function(callback) {
-            if (!this.nemsocket_) return false;
-
+        this.subscribeRecipient = function(address) {
             var self = this;
+
+            var unconfirmedUri = "/unconfirmed/" + address;
+            var confirmedUri = "/transactions/" + address;
+
+            if (self.connection().isSubscribed(self, confirmedUri))
+                return false;
+
             try {
-                for (path in self.nemSubscriptions_) {
-                    var subId = self.nemSubscriptions_[path];
-                    self.nemsocket_.unsubscribeWS(subId);
+                // NEM Websocket unconfirmed transactions Listener
+                self.connection().subscribe(self, unconfirmedUri, function(message) {
+                    var parsed = JSON.parse(message.body);
+                    self.logger().info("[NEM] [PAY-SOCKET]", __line, 'unconfirmed(' + JSON.stringify(parsed) + ')');
 
-                    delete self.nemSubscriptions_[path];
-                }
+                    var transactionData = JSON.parse(message.body);
+                    var trxHash = self.blockchain_.getTransactionHash(transactionData);
 
-                self.nemsocket_.disconnectWS(function() {
-                    self.logger().info("[NEM] [PAY-SOCKET] [DISCONNECT]", __line, "Websocket disconnected.");
+                    self.db_.NEMTransactionPool.findOne({ transactionHash: trxHash }, function(err, entry) {
+                        if (err || entry)
+                        // error OR entry FOUND => transaction not processed this time.
+                            return false;
+
+                        var creation = new self.db_.NEMTransactionPool({
+                            status: "unconfirmed",
+                            transactionHash: trxHash,
+                            createdAt: new Date().valueOf()
+                        });
+                        creation.save();
+
+                        self.db_.NEMPaymentChannel.matchTransactionToChannel(self.blockchain_, transactionData, function(result) {
+                            transactionMatchResultHandler(self, result, "unconfirmed", "SOCKET");
+                        });
+                    });
+                });
+
+                // NEM Websocket confirmed transactions Listener
+                self.connection().subscribe(self, confirmedUri, function(message) {
+                    var parsed = JSON.parse(message.body);
+                    self.logger().info("[NEM] [PAY-SOCKET]", __line, 'transactions(' + JSON.stringify(parsed) + ')');
 
-                    delete self.nemsocket_;
-                    delete self.nemSubscriptions_;
-                    delete self.nemConnection_;
-                    self.nemSubscriptions_ = {};
+                    var transactionData = JSON.parse(message.body);
 
-                    if (callback)
-                        return callback();
+                    // the NEMAccountCursor is only advanced by replayTransactions such
+                    // that transactions missed by the websocket are never skipped.
+                    self.processConfirmedTransaction(transactionData, "SOCKET");
                 });
             } catch (e) {
-                // hot disconnect
-                self.logger().info("[NEM] [SIGN-SOCKET] [DISCONNECT]", __line, "Websocket Hot Disconnect.");
+                self.logger().error("[NEM] [ERROR] [PAY-SOCKET]", __line, "Websocket Subscription Error for " + address + ": " + e);
+                return false;
+            }
+
+            return true;
+        };
+
+        /**
+         * Unsubscribe from the websocket channels of the given recipient address.
+         *
+         * @param  {String}     address
+         * @return {Boolean}
+         */
+        this.unsubscribeRecipient = function(address) {
+            var self = this;
+
+            self.connection().unsubscribe(self, "/unconfirmed/" + address);
+            return self.connection().unsubscribe(self, "/transactions/" + address);
+        };
+
+        /**
+         * This method will unsubscribe the payment processor from all
+         * websocket channels. The shared websocket stays connected.
+         *
+         * @param  {Function}   callback
+         * @return void
+         */
+        this.disconnectBlockchainSocket = function(callback) {
+            this.connection().unsubscribeModule(this);
+            this.watchedRecipients_ = [];
 
-                delete self.nemsocket_;
-                delete self.nemSubscriptions_;
-                delete self.nemConnection_;
-                self.nemSubscriptions_ = {};
+            if (callback)
                 return callback();
-            }
         };
 
         /**
@@ -340,46 +362,30 @@
          * blockchain every minute for new transactions that might be relevant to our
          * application or game.
          *
+         * Payment Channel expiry is handled by the expiry scheduler, see
+         * `startExpiryScheduler`.
+         *
          * @param  {object} backendSocket
          * @param  {NEMPaymentChannel} paymentChannel
-         * @param  {object} params
          * @return {NEMPaymentChannel}
          */
-        this.forwardPaymentUpdates = function(forwardedToSocket, paymentChannel, params) {
-            //DEBUG this.logger().info("[BOT] [DEBUG] [" + forwardedToSocket.id + "]", __line, "forwardPaymentUpdates(" + JSON.stringify(params) + ")");
+        this.forwardPaymentUpdates = function(forwardedToSocket, paymentChannel) {
+            //DEBUG this.logger().info("[BOT] [DEBUG] [" + forwardedToSocket.id + "]", __line, "forwardPaymentUpdates(" + paymentChannel.message + ")");
 
             // register socket to make sure also websockets events can be forwarded.
-            if (!this.socketById.hasOwnProperty(forwardedToSocket.id)) {
+            // Channels opened with the HTTP/JSON API don't have a backend socket.
+            if (forwardedToSocket && !this.socketById.hasOwnProperty(forwardedToSocket.id)) {
                 this.socketById[forwardedToSocket.id] = forwardedToSocket;
             }
 
-            // configure timeout of websocket fallback
-            var startTime_ = new Date().valueOf();
-            var duration_ = typeof params != 'undefined' && params.duration ? params.duration : this.blockchain_.conf_.bot.read.duration;
-
-            duration_ = parseInt(duration_);
-            if (isNaN(duration_) || duration_ <= 0)
-                duration_ = 15 * 60 * 1000;
-
-            var endTime_ = startTime_ + duration_;
             var self = this;
 
-            // fallback handler queries the blockchain every 5 minutes
-            // ONLY IN CASE THE BLOCKS WEBSOCKET HAS NOT FILLED DATA FOR
-            // 5 MINUTES ANYMORE (meaning the websocket connection is buggy).
-            var fallbackInterval = setInterval(function() {
-                self.db_.NEMBlockHeight.find({ moduleName: "pay-socket" }, [], { limit: 1, sort: { createdAt: -1 } }, function(err, lastBlock) {
-                    var nowTime = new Date().valueOf();
-                    if (lastBlock.createdAt < (nowTime - 5 * 60 * 1000)) {
-                        // last block is 5 minutes old, use the FALLBACK!
-                        websocketFallbackHandler(self);
-                    }
-                });
-            }, 300 * 1000);
-
-            // when opening a channel, we should always check whether the Invoice is Paid or 
+            // make sure we are listening to the payment channel recipient's transactions, then
+            // when opening a channel, we should always check whether the Invoice is Paid or
             // if the Invoice needs any update.
-            websocketFallbackHandler(self);
+            self.refreshRecipientSubscriptions(function() {
+                websocketFallbackHandler(self, [paymentChannel.getRecipient()]);
+            });
         };
 
         /**
@@ -389,15 +395,24 @@
          * It will also save the transaction data into the NEMBotDB.NEMPaymentChannel
          * model and save to the database.
          *
+         * In case the Payment Channel has a `notifyUrl`, a webhook delivery
+         * is queued with the WebhookDispatcher.
+         *
          * @param  [TransactionMetaDataPair]{@link http://bob.nem.ninja/docs/#transactionMetaDataPair} transactionData
          * @param  {object} paymentData
          * @param  {string} status
          * @return {NEMPaymentChannel}
          */
         this.emitPaymentUpdate = function(forwardToSocket, paymentChannel, status) {
-            //XXX implement notifyUrl - webhooks features
             var eventData = paymentChannel.toDict();
 
+            // notify the backend over HTTP in case a `notifyUrl` is configured (webhooks)
+            this.blockchain_.getWebhookDispatcher().enqueue(paymentChannel, paymentChannel.status);
+
+            if (!paymentChannel.isOpen())
+            // channel closed, recipient is watched until the grace period ends
+                this.refreshRecipientSubscriptions();
+
             // notify our socket about the update (private communication NEMBot > Backend)
             if (typeof forwardToSocket == "object") {
                 forwardToSocket.emit("nembot_payment_status_update", JSON.stringify(eventData));
@@ -416,77 +431,760 @@
         };
 
         /**
-         * This method can be used to read all INCOMING TRANSACTIONS of the 
-         * configured READ BOT. 
-         * 
-         * If any transaction is found to be relevant to the Payment Processor,
-         * it will be acknowledged against the models and in the NEMTransactionPool.
-         * 
-         * @param   {PaymentProcessor}  instance
-         * @param   {integer}           lastTrxRead     NEM Transaction ID
+         * Start the Payment Channel expiry scheduler. Every minute, open
+         * payment channels which have passed their `expiresAt` time are
+         * transitioned to the `expired` status and a payment status update
+         * is emitted.
+         *
+         * Payments received after expiry will mark the channel `paid_late`.
+         * The watched recipients are refreshed on every run such that the
+         * recipients of channels closed before the grace period are dropped.
+         *
+         * @return {PaymentProcessor}
+         */
+        this.startExpiryScheduler = function() {
+            var self = this;
+
+            if (self.expiryScheduler_ !== null)
+                clearInterval(self.expiryScheduler_);
+
+            var expireChannels = function() {
+                var query = {
+                    status: { $in: self.db_.NEMPaymentChannel.OPEN_STATUSES },
+                    expiresAt: { $gt: 0, $lte: new Date().valueOf() }
+                };
+
+                self.refreshRecipientSubscriptions();
+                self.db_.NEMPaymentChannel.find(query, function(err, channels) {
+                    if (err) {
+                        self.logger().error("[NEM] [ERROR] [PAY-EXPIRY]", __line, "Error reading NEMPaymentChannel: " + err);
+                        return false;
+                    }
+
+                    for (var i = 0; i < channels.length; i++) {
+                        var channel = channels[i];
+
+                        channel.setStatus("expired");
+                        channel.expiredAt = new Date().valueOf();
+                        channel.save(function(err, channel) {
+                            if (err)
+                                return self.logger().error("[NEM] [ERROR] [PAY-EXPIRY]", __line, "Error saving NEMPaymentChannel: " + err);
+
+                            self.logger().info("[NEM] [PAY-EXPIRY]", __line, 'Payment channel "' + channel.message + '" has expired.');
+                            self.notifyChannelUpdate(channel, "expired");
+                        });
+                    }
+                });
+            };
+
+            self.expiryScheduler_ = setInterval(expireChannels, 60 * 1000);
+            expireChannels();
+
+            return self;
+        };
+
+        /**
+         * Handle an overpaid payment channel according to the `bot.read.refunds.mode`
+         * configuration:
+         *
+         * - "automatic" : the refund transfer is issued immediately.
+         * - "approval"  : the channel waits for an admin to approve the refund
+         *                 with the HTTP/JSON API (refundStatus `pending_approval`).
+         * - "disabled"  : nothing is done, `amountOverpaid` is only tracked.
+         *
+         * @param  {NEMPaymentChannel} paymentChannel
+         * @return void
+         */
+        this.handleOverpayment = function(paymentChannel) {
+            var self = this;
+            var mode = self.config().bot.read.refunds ? self.config().bot.read.refunds.mode : "disabled";
+
+            if (paymentChannel.refundStatus == "pending" || paymentChannel.refundStatus == "pending_approval")
+                return false;
+
+            self.logger().warn("[NEM] [PAY-REFUND]", __line, 'Payment channel "' + paymentChannel.message + '" overpaid by ' + paymentChannel.getRefundableAmount() + ' (mode: ' + mode + ').');
+
+            if ("automatic" == mode) {
+                return self.issueRefund(paymentChannel, function(err, paymentChannel) {
+                    if (err) self.logger().error("[NEM] [ERROR] [PAY-REFUND]", __line, "Refund failed: " + err);
+                });
+            } else if ("approval" == mode) {
+                paymentChannel.refundStatus = "pending_approval";
+                paymentChannel.updatedAt = new Date().valueOf();
+                return paymentChannel.save(function(err, paymentChannel) {
+                    if (!err) self.notifyChannelUpdate(paymentChannel, "refund_pending_approval");
+                });
+            }
+        };
+
+        /**
+         * Issue a refund transfer of the overpaid amount of a payment channel
+         * back to the payer (`payerXEM`). The transfer is signed with the refund
+         * private key which must belong to the payment channel recipient.
+         *
+         * Only XEM refunds are supported, channels using other mosaics must
+         * be refunded manually.
+         *
+         * The refund transaction hash is saved in `refundTransactionHash`.
+         *
+         * @param  {NEMPaymentChannel} paymentChannel
+         * @param  {Function}          callback
+         * @return void
+         */
+        this.issueRefund = function(paymentChannel, callback) {
+            var self = this;
+            var nem = self.blockchain_.nem();
+            var privateKey = self.blockchain_.getBotRefundSecret();
+            var refundAmount = paymentChannel.getRefundableAmount();
+
+            if (refundAmount <= 0)
+                return callback("Payment channel has no refundable amount.");
+
+            if (paymentChannel.refundStatus == "pending")
+                return callback("A refund is already being processed for this payment channel.");
+
+            if (paymentChannel.mosaicSlug != "nem:xem")
+                return callback("Only XEM payment channels can be refunded automatically.");
+
+            if (!paymentChannel.payerXEM || !paymentChannel.payerXEM.length)
+                return callback("Payment channel has no payer address.");
+
+            if (!privateKey || !nem.utils.helpers.isPrivateKeyValid(privateKey))
+                return callback("Invalid refund private key in bot.json (bot.read.refunds.privateKey).");
+
+            var refundPubKey = nem.crypto.keyPair.create(privateKey).publicKey.toString();
+            if (self.blockchain_.getAddressFromPublicKey(refundPubKey) != paymentChannel.getRecipient())
+                return callback("Refund private key does not belong to the payment channel recipient " + paymentChannel.getRecipient() + ".");
+
+            // claim the refund atomically such that concurrent refund requests
+            // cannot both send the refund transfer.
+            var claim = { _id: paymentChannel._id, refundStatus: { $ne: "pending" } };
+            var update = { $set: { refundStatus: "pending", updatedAt: new Date().valueOf() } };
+
+            self.db_.NEMPaymentChannel.findOneAndUpdate(claim, update, { new: true }, function(err, paymentChannel) {
+                if (err) return callback(err);
+
+                if (!paymentChannel)
+                    return callback("A refund is already being processed for this payment channel.");
+
+                if (paymentChannel.getRefundableAmount() < refundAmount) {
+                    // refunded concurrently after this request was read.
+                    paymentChannel.refundStatus = "sent";
+                    return paymentChannel.save(function() {
+                        return callback("Payment channel has no refundable amount.");
+                    });
+                }
+
+                // prepare the refund transfer, amounts in transferTransaction objects are XEM (not micro XEM).
+                var commonPair = nem.model.objects.create("common")("", privateKey);
+                var networkId = self.blockchain_.getNetwork().config.id;
+                var transfer = nem.model.objects.create("transferTransaction")(paymentChannel.getPayer(), refundAmount / Math.pow(10, 6), "Refund " + paymentChannel.message);
+                var prepared = nem.model.transactions.prepare("transferTransaction")(commonPair, transfer, networkId);
+
+                var saveRefund = function(error, trxHash) {
+                    if (error) {
+                        paymentChannel.refundStatus = "failed";
+                        paymentChannel.refundError = error;
+                    } else {
+                        paymentChannel.refundStatus = "sent";
+                        paymentChannel.refundError = null;
+                        paymentChannel.refundTransactionHash = trxHash;
+                        paymentChannel.amountRefunded = (paymentChannel.amountRefunded || 0) + refundAmount;
+                        paymentChannel.refundedAt = new Date().valueOf();
+                    }
+
+                    paymentChannel.updatedAt = new Date().valueOf();
+                    paymentChannel.save(function(err, paymentChannel) {
+                        if (err) return callback(err);
+
+                        self.notifyChannelUpdate(paymentChannel, error ? "refund_failed" : "refunded");
+                        return callback(error, paymentChannel);
+                    });
+                };
+
+                nem.model.transactions.send(commonPair, prepared, self.blockchain_.endpoint())
+                    .then(function(res) {
+                        if (res.code >= 2 || "SUCCESS" != res.message)
+                            return saveRefund("Error announcing refund transaction: " + res.message);
+
+                        self.logger().info("[NEM] [PAY-REFUND]", __line, 'Refunded ' + refundAmount + ' to ' + paymentChannel.getPayer() + ' for "' + paymentChannel.message + '" with hash "' + res.transactionHash.data + '".');
+                        return saveRefund(null, res.transactionHash.data);
+                    }, function(err) {
+                        return saveRefund("Error announcing refund transaction: " + JSON.stringify(err));
+                    });
+            });
+        };
+
+        /**
+         * Save an incoming payment which could not be matched to exactly one payment
+         * channel (unmatched or ambiguous) in the NEMUnmatchedPayment collection for
+         * manual reconciliation.
+         *
+         * @param  {Object}     result      Result of NEMPaymentChannel.matchTransactionToChannel
+         * @return void
+         */
+        this.saveUnmatchedPayment = function(result) {
+            var self = this;
+            var transactionMetaDataPair = result.transaction;
+            var trxHash = self.blockchain_.getTransactionHash(transactionMetaDataPair);
+
+            self.db_.NEMUnmatchedPayment.findOne({ transactionHash: trxHash }, function(err, payment) {
+                if (err || payment)
+                // error OR entry FOUND => already saved
+                    return false;
+
+                payment = new self.db_.NEMUnmatchedPayment({
+                    transactionHash: trxHash,
+                    senderXEM: self.blockchain_.getTransactionSender(transactionMetaDataPair),
+                    recipientXEM: self.blockchain_.getTransactionRecipient(transactionMetaDataPair),
+                    amount: self.blockchain_.getTransactionAmount(transactionMetaDataPair),
+                    mosaics: self.blockchain_.getTransactionMosaics(transactionMetaDataPair),
+                    message: self.blockchain_.getTransactionMessage(transactionMetaDataPair),
+                    reason: result.status,
+                    candidates: result.candidates.map(function(channel) { return channel.message; }),
+                    transactionData: transactionMetaDataPair,
+                    status: "open",
+                    createdAt: new Date().valueOf()
+                });
+
+                payment.save(function(err) {
+                    if (err)
+                        return self.logger().error("[NEM] [ERROR] [PAY-MATCH]", __line, "Error saving NEMUnmatchedPayment: " + err);
+
+                    self.logger().warn("[NEM] [PAY-MATCH]", __line, 'Transaction "' + trxHash + '" could not be matched to a payment channel (' + result.status + ').');
+                });
+            });
+        };
+
+        /**
+         * Manually assign an unmatched payment to a payment channel. The payment
+         * transaction is acknowledged as a confirmed transaction of the channel
+         * and a payment status update is emitted.
+         *
+         * @param  {NEMUnmatchedPayment}    payment
+         * @param  {NEMPaymentChannel}      paymentChannel
+         * @param  {Function}               callback
+         * @return void
+         */
+        this.assignUnmatchedPayment = function(payment, paymentChannel, callback) {
+            var self = this;
+
+            if (payment.status != "open")
+                return callback("Payment " + payment.transactionHash + " was already " + payment.status + ".");
+
+            self.db_.NEMPaymentChannel
+                .acknowledgeTransaction(paymentChannel, payment.transactionData, "confirmed", function(paymentChannel) {
+                    if (paymentChannel === false)
+                        return callback("Payment " + payment.transactionHash + " cannot be acknowledged for this payment channel.");
+
+                    payment.status = "assigned";
+                    payment.assignedTo = paymentChannel.message;
+                    payment.assignedAt = new Date().valueOf();
+                    payment.updatedAt = new Date().valueOf();
+                    payment.save(function(err, payment) {
+                        if (err) return callback(err);
+
+                        self.logger().info("[NEM] [PAY-MATCH]", __line, 'Payment "' + payment.transactionHash + '" assigned to "' + paymentChannel.message + '".');
+
+                        self.notifyChannelUpdate(paymentChannel, "confirmed");
+                        if (paymentChannel.getRefundableAmount() > 0)
+                            self.handleOverpayment(paymentChannel);
+
+                        return callback(null, paymentChannel, payment);
+                    });
+                });
+        };
+
+        /**
+         * This method is called by the ConnectionManager for every new block.
+         *
+         * @param  {Integer}    blockHeight
+         * @return void
+         */
+        this.onNewBlock = function(blockHeight) {
+            this.auditConfirmations();
+        };
+
+        /**
+         * Check the confirmations of paid payment channels. Paid channels are
+         * transitioned to the `confirmed_final` status once the last block height
+         * saved by the BlocksAuditor is `bot.read.requiredConfirmations` blocks
+         * after the inclusion height of the channel's last transaction.
+         *
+         * Nothing is done when `bot.read.requiredConfirmations` is not set.
+         *
+         * @return void
+         */
+        this.auditConfirmations = function() {
+            var self = this;
+            var required = parseInt(self.config().bot.read.requiredConfirmations);
+
+            if (isNaN(required) || required <= 0)
+                return false;
+
+            self.connection().getLastBlock(function(err, block) {
+                if (err || !block)
+                    return false;
+
+                var query = {
+                    status: { $in: self.db_.NEMPaymentChannel.PAID_STATUSES },
+                    isFinal: { $ne: true }
+                };
+
+                self.db_.NEMPaymentChannel.find(query, function(err, channels) {
+                    if (err) {
+                        self.logger().error("[NEM] [ERROR] [PAY-CONFIRM]", __line, "Error reading NEMPaymentChannel: " + err);
+                        return false;
+                    }
+
+                    for (var i = 0; i < channels.length; i++) {
+                        var channel = channels[i];
+                        var inclusionHeight = channel.getLastTransactionHeight();
+
+                        // the inclusion block counts as the first confirmation
+                        if (!inclusionHeight || block.blockHeight - inclusionHeight + 1 < required)
+                            continue;
+
+                        channel.setStatus("confirmed_final");
+                        channel.isFinal = true;
+                        channel.finalizedAt = new Date().valueOf();
+                        channel.updatedAt = new Date().valueOf();
+                        channel.save(function(err, channel) {
+                            if (err)
+                                return self.logger().error("[NEM] [ERROR] [PAY-CONFIRM]", __line, "Error saving NEMPaymentChannel: " + err);
+
+                            self.logger().info("[NEM] [PAY-CONFIRM]", __line, 'Payment channel "' + channel.message + '" is now final with ' + required + ' confirmations.');
+                            self.notifyChannelUpdate(channel, "confirmed_final");
+                        });
+                    }
+                });
+            });
+        };
+
+        /**
+         * This method is called by the ConnectionManager when the BlocksAuditor
+         * detects a chain re-organisation. The transactions of payment channels
+         * which were included at or after `forkHeight` are re-validated.
+         *
+         * @param  {Integer}    forkHeight  First block height which changed
+         * @return void
+         */
+        this.onChainReorg = function(forkHeight) {
+            var self = this;
+
+            self.db_.NEMPaymentChannel.find({ hasPayment: true }, function(err, channels) {
+                if (err) {
+                    self.logger().error("[NEM] [ERROR] [PAY-REORG]", __line, "Error reading NEMPaymentChannel: " + err);
+                    return false;
+                }
+
+                for (var i = 0; i < channels.length; i++) {
+                    var heights = channels[i].transactionHeights || {};
+                    var hashes = Object.keys(heights).filter(function(trxHash) {
+                        return heights[trxHash] >= forkHeight;
+                    });
+
+                    if (hashes.length)
+                        self.revalidateTransactions(channels[i], hashes);
+                }
+            });
+        };
+
+        /**
+         * Re-validate transactions of a payment channel with the HTTP API. The
+         * inclusion height of transactions which are still on the chain is
+         * updated, transactions which vanished are reverted with
+         * `revertTransaction`.
+         *
+         * Transactions are re-validated one after the other such that the
+         * channel is never saved concurrently.
+         *
+         * @param  {NEMPaymentChannel}  paymentChannel
+         * @param  {Array}              hashes      Transaction hashes
+         * @param  {Function}           callback    Called with the NEMPaymentChannel
+         * @return void
+         */
+        this.revalidateTransactions = function(paymentChannel, hashes, callback = null) {
+            var self = this;
+
+            var revalidate = function(i) {
+                if (i >= hashes.length)
+                    return callback ? callback(paymentChannel) : paymentChannel;
+
+                var trxHash = hashes[i];
+                self.blockchain_.nem()
+                    .com.requests.transaction.byHash(self.blockchain_.endpoint(), trxHash)
+                    .then(function(res) {
+                        var height = res.meta ? res.meta.height : null;
+                        if (!height || paymentChannel.transactionHeights[trxHash] === height)
+                            return revalidate(i + 1);
+
+                        // transaction was included in another block, confirmations restart
+                        paymentChannel.transactionHeights[trxHash] = height;
+                        paymentChannel.markModified("transactionHeights");
+                        paymentChannel.save(function(err, channel) {
+                            if (err)
+                                self.logger().error("[NEM] [ERROR] [PAY-REORG]", __line, "Error saving NEMPaymentChannel: " + err);
+                            else
+                                paymentChannel = channel;
+
+                            return revalidate(i + 1);
+                        });
+                    }, function(err) {
+                        if (!/not found/i.test(JSON.stringify(err))) {
+                            // node error, the transaction can't be re-validated now.
+                            self.logger().error("[NEM] [ERROR] [PAY-REORG]", __line, "NIS API transaction.byHash Error: " + JSON.stringify(err));
+                            return revalidate(i + 1);
+                        }
+
+                        self.revertTransaction(paymentChannel, trxHash, function(channel) {
+                            paymentChannel = channel;
+                            return revalidate(i + 1);
+                        });
+                    });
+            };
+
+            revalidate(0);
+        };
+
+        /**
+         * Revert a transaction of a payment channel which vanished from the
+         * chain. The amount of the transaction is subtracted from `amountPaid`
+         * and the `payment_reverted` event is emitted, followed by a payment
+         * status update.
+         *
+         * The NEMTransactionPool entry of the transaction is removed such that
+         * the transaction is processed again in case it is re-included.
+         *
+         * @param  {NEMPaymentChannel}  paymentChannel
+         * @param  {String}             trxHash
+         * @param  {Function}           callback    Called with the NEMPaymentChannel
+         * @return void
+         */
+        this.revertTransaction = function(paymentChannel, trxHash, callback) {
+            var self = this;
+            var amount = paymentChannel.revertTransaction(trxHash);
+
+            if (amount === false) {
+                self.logger().warn("[NEM] [PAY-REORG]", __line, 'Transaction "' + trxHash + '" of "' + paymentChannel.message + '" vanished but cannot be reverted automatically.');
+                return callback(paymentChannel);
+            }
+
+            paymentChannel.updatedAt = new Date().valueOf();
+            paymentChannel.save(function(err, channel) {
+                if (err) {
+                    self.logger().error("[NEM] [ERROR] [PAY-REORG]", __line, "Error saving NEMPaymentChannel: " + err);
+                    return callback(paymentChannel);
+                }
+
+                self.logger().warn("[NEM] [PAY-REORG]", __line, 'Reverted ' + amount + ' of transaction "' + trxHash + '" for "' + channel.message + '".');
+
+                self.db_.NEMTransactionPool.remove({ status: "confirmed", transactionHash: trxHash }, function(err) {
+                    if (err)
+                        self.logger().error("[NEM] [ERROR] [PAY-REORG]", __line, "Error removing NEMTransactionPool entry: " + err);
+                });
+
+                self.emitPaymentReverted(channel, trxHash, amount);
+                self.notifyChannelUpdate(channel, channel.status);
+                return callback(channel);
+            });
+        };
+
+        /**
+         * This method EMITS the `payment_reverted` event of a payment channel
+         * with socket.io (`nembot_payment_reverted`) and queues its webhook
+         * delivery.
+         *
+         * @param  {NEMPaymentChannel}  paymentChannel
+         * @param  {String}             trxHash
+         * @param  {Integer}            amount
+         * @return {NEMPaymentChannel}
+         */
+        this.emitPaymentReverted = function(paymentChannel, trxHash, amount) {
+            var forwardToSocket = this.getChannelSocket(paymentChannel);
+            var eventData = {
+                "event": "payment_reverted",
+                "hash": trxHash,
+                "amount": amount,
+                "channel": paymentChannel.toDict()
+            };
+
+            this.blockchain_.getWebhookDispatcher()
+                .enqueueEvent(paymentChannel.notifyUrl, "payment_reverted", paymentChannel.message, eventData);
+
+            if (typeof forwardToSocket == "object") {
+                forwardToSocket.emit("nembot_payment_reverted", JSON.stringify(eventData));
+                this.logger().info("[BOT] [" + forwardToSocket.id + "]", __line, "payment_reverted(" + JSON.stringify(eventData) + ")");
+            } else if (typeof forwardToSocket == "string") {
+                this.blockchain_.getCliSocketIo()
+                    .to(forwardToSocket)
+                    .emit("nembot_payment_reverted", JSON.stringify(eventData));
+
+                this.logger().info("[BOT] [" + forwardToSocket + "]", __line, "payment_reverted(" + JSON.stringify(eventData) + ")");
+            }
+
+            return paymentChannel;
+        };
+
+        /**
+         * Get the backend socket to which updates of the given payment channel
+         * must be forwarded. This is always the last socket registered for the
+         * channel. In case the socket object is not available (anymore), the
+         * socket ID is returned.
+         *
+         * @param  {NEMPaymentChannel} paymentChannel
+         * @return {Object|String|undefined}
+         */
+        this.getChannelSocket = function(paymentChannel) {
+            if (!paymentChannel.socketIds || !paymentChannel.socketIds.length)
+                return undefined;
+
+            var backendSocketId = paymentChannel.socketIds[paymentChannel.socketIds.length - 1];
+            if (this.socketById.hasOwnProperty(backendSocketId))
+                return this.socketById[backendSocketId];
+
+            //DEBUG this.logger().warn("[NEM] [WARNING]", __line, 'no backend socket available for Socket ID "' + backendSocketId + '"!');
+            return backendSocketId;
+        };
+
+        /**
+         * This method EMITS a payment status update for a payment channel
+         * that was modified outside of transaction processing (e.g. with
+         * the HTTP/JSON API).
+         *
+         * @param  {NEMPaymentChannel} paymentChannel
+         * @param  {String}            status
+         * @return {NEMPaymentChannel}
+         */
+        this.notifyChannelUpdate = function(paymentChannel, status) {
+            return this.emitPaymentUpdate(this.getChannelSocket(paymentChannel), paymentChannel, status);
+        };
+
+        /**
+         * This method is called by the ConnectionManager for every change of
+         * the connection state. Transactions missed while the websocket was
+         * not connected are replayed once the connection is established.
+         *
+         * @param  {Object}     connectionState
+         * @return void
+         */
+        this.onConnectionState = function(connectionState) {
+            if (connectionState.state == "connected")
+                websocketFallbackHandler(this);
+        };
+
+        /**
+         * This method reads the INCOMING TRANSACTIONS of the given recipient
+         * (configured READ BOT or payment channel recipient) which are more
+         * recent than the transaction ID `sinceId`.
+         *
+         * Transactions are read by pages of 25 transactions from the newest
+         * to the oldest, the callback receives them ordered from the oldest
+         * to the newest. When `sinceId` is `null`, all incoming transactions
+         * are read.
+         *
+         * @param   {String}            recipient       XEM address of the recipient
+         * @param   {integer|null}      sinceId         NEM Transaction ID
+         * @param   {Function}          callback        Called with (err, transactions)
+         * @param   {integer|null}      lastTrxRead     (Internal) NEM Transaction ID of the last page
+         * @param   {Array}             transactions    (Internal) Transactions read
          * @return  void
          */
-        this.fetchPaymentDataFromBlockchain = function(lastTrxRead = null, callback = null) {
+        this.fetchPaymentDataFromBlockchain = function(recipient, sinceId, callback, lastTrxRead = null, transactions = []) {
             var self = this;
 
-            // read the payment channel recipient's incoming transaction to check whether the Websocket
-            // has missed any (happens maybe only on testnet, but this is for being sure.). The same event
-            // will be emitted in case a transaction is found un-forwarded.
             self.blockchain_.nem()
                 .com.requests.account.transactions
-                .incoming(self.blockchain_.endpoint(), self.blockchain_.getBotReadWallet(), null, lastTrxRead)
+                .incoming(self.blockchain_.endpoint(), recipient, null, lastTrxRead)
                 .then(function(res) {
-                    //DEBUG self.logger().info("[DEBUG]", "[PACNEM CREDITS]", "Result from NIS API account.transactions.incoming: " + JSON.stringify(res.data));
-                    //DEBUG self.logger().info("[DEBUG]", "[PACNEM CREDITS]", "Result from NIS API account.transactions.incoming: " + res.data.length + " Transactions.");
-                    res = res.data;
-                    var transactions = res;
-
-                    lastTrxRead = self.processIncomingTransactions(transactions);
-
-                    if (lastTrxRead !== false && 25 == transactions.length) {
-                        // recursion..
-                        // there may be more transactions in the past (25 transactions
-                        // is the limit that the API returns). If we specify a hash or ID it
-                        // will look for transactions BEFORE this hash or ID (25 before ID..).
-                        // We pass transactions IDs because all NEM nodes support those, hashes are
-                        // only supported by a subset of the NEM nodes.
-                        self.fetchPaymentDataFromBlockchain(lastTrxRead, callback);
-                    }
+                    var page = res.data;
+                    var isDone = page.length < 25;
+
+                    for (var i = 0; i < page.length; i++) {
+                        var trxId = self.blockchain_.getTransactionId(page[i]);
 
-                    if (callback && (lastTrxRead === false || transactions.length < 25)) {
-                        // done reading blockchain.
+                        if (sinceId !== null && trxId <= sinceId) {
+                            // reached the cursor
+                            isDone = true;
+                            break;
+                        }
 
-                        self.logger().info("[NEM] [PAY-FALLBACK] ", __line, "read a total of " + Object.getOwnPropertyNames(self.transactionPool).length + " transactions from " + self.blockchain_.getBotReadWallet() + ".");
-                        callback(self);
+                        transactions.push(page[i]);
+                        lastTrxRead = trxId;
                     }
+
+                    if (!isDone)
+                    // there may be more transactions in the past (25 transactions
+                    // is the limit that the API returns). If we specify an ID it
+                    // will look for transactions BEFORE this ID. We pass transactions
+                    // IDs because all NEM nodes support those, hashes are only
+                    // supported by a subset of the NEM nodes.
+                        return self.fetchPaymentDataFromBlockchain(recipient, sinceId, callback, lastTrxRead, transactions);
+
+                    return callback(null, transactions.reverse());
                 }, function(err) {
                     self.logger().error("[NEM] [ERROR] [PAY-FALLBACK]", __line, "NIS API account.transactions.incoming Error: " + err);
+                    return callback(err);
                 });
         };
 
         /**
-         * This method will acknowledge a chunk of (maximum) 25 transactions
-         * and return a boolean with `false` when the reading process should 
-         * be stopped. (less than 25 transactions read OR already read transaction)
-         * 
-         * @param   {Array}     transactions    NEM Transactions list
-         * @return  {integer}   Last read NEM Transaction ID
+         * Replay the incoming transactions of a recipient which were not read
+         * yet. The NEMAccountCursor of the recipient holds the ID and height of
+         * the last processed transaction, only transactions after the cursor
+         * are read and matched, ordered from the oldest to the newest.
+         *
+         * Transactions already processed (NEMTransactionPool) are not matched
+         * again, such that replaying is idempotent. The cursor is advanced
+         * after every transaction.
+         *
+         * @param   {String}    recipient   XEM address of the recipient
+         * @param   {Function}  callback    Called with the count of replayed transactions
+         * @return  void
          */
-        this.processIncomingTransactions = function(transactions) {
-            var lastTrxRead = null;
-            var lastTrxHash = null;
-            for (var i = 0; i < transactions.length; i++) {
-                var transaction = transactions[i];
-                lastTrxRead = this.blockchain_.getTransactionId(transaction);
-                lastTrxHash = this.blockchain_.getTransactionHash(transaction);
-
-                if (this.transactionPool.hasOwnProperty(lastTrxHash))
-                    return false;
+        this.replayTransactions = function(recipient, callback = null) {
+            var self = this;
 
-                this.transactionPool[lastTrxHash] = transaction;
-            }
+            if (self.replaying_[recipient] === true)
+            // already replaying, the running replay reads up to the newest transaction.
+                return false;
+
+            self.replaying_[recipient] = true;
 
-            return lastTrxRead;
+            var done = function(count) {
+                delete self.replaying_[recipient];
+
+                if (count > 0)
+                    self.logger().info("[NEM] [PAY-FALLBACK] ", __line, "replayed " + count + " transactions of " + recipient + ".");
+
+                if (callback)
+                    return callback(count);
+            };
+
+            self.db_.NEMAccountCursor.findOne({ address: recipient }, function(err, cursor) {
+                if (err) {
+                    self.logger().error("[NEM] [ERROR] [PAY-FALLBACK]", __line, "Error reading NEMAccountCursor: " + err);
+                    return done(0);
+                }
+
+                if (!cursor)
+                // first time this account is read, history is not replayed.
+                    return self.createAccountCursor(recipient, function() { return done(0); });
+
+                self.fetchPaymentDataFromBlockchain(recipient, cursor.lastTransactionId || null, function(err, transactions) {
+                    if (err)
+                        return done(0);
+
+                    var replay = function(i) {
+                        if (i >= transactions.length)
+                            return done(transactions.length);
+
+                        var transaction = transactions[i];
+                        self.processConfirmedTransaction(transaction, "PAY-FALLBACK", function(err) {
+                            if (err) {
+                                // stop here, the next replay will start from the last saved cursor.
+                                self.logger().error("[NEM] [ERROR] [PAY-FALLBACK]", __line, "Error reading NEMTransactionPool: " + err);
+                                return done(i);
+                            }
+
+                            cursor.lastTransactionId = self.blockchain_.getTransactionId(transaction);
+                            cursor.lastTransactionHash = self.blockchain_.getTransactionHash(transaction);
+                            cursor.lastHeight = transaction.meta.height;
+                            cursor.updatedAt = new Date().valueOf();
+                            cursor.save(function(err) {
+                                if (err) {
+                                    // stop here, the next replay will start from the last saved cursor.
+                                    self.logger().error("[NEM] [ERROR] [PAY-FALLBACK]", __line, "Error saving NEMAccountCursor: " + err);
+                                    return done(i);
+                                }
+
+                                return replay(i + 1);
+                            });
+                        });
+                    };
+
+                    replay(0);
+                });
+            });
+        };
+
+        /**
+         * Create the NEMAccountCursor of an account which was never read. The
+         * cursor is set to the newest incoming transaction of the account such
+         * that older transactions are never replayed (those can't be payments
+         * of the payment channels watching this account).
+         *
+         * @param   {String}    recipient   XEM address of the recipient
+         * @param   {Function}  callback    Called with (err, NEMAccountCursor)
+         * @return  void
+         */
+        this.createAccountCursor = function(recipient, callback) {
+            var self = this;
+
+            self.blockchain_.nem()
+                .com.requests.account.transactions
+                .incoming(self.blockchain_.endpoint(), recipient, null, null)
+                .then(function(res) {
+                    var newest = res.data.length ? res.data[0] : null;
+                    var cursor = new self.db_.NEMAccountCursor({
+                        address: recipient,
+                        lastTransactionId: newest ? self.blockchain_.getTransactionId(newest) : null,
+                        lastTransactionHash: newest ? self.blockchain_.getTransactionHash(newest) : null,
+                        lastHeight: newest ? newest.meta.height : null,
+                        createdAt: new Date().valueOf(),
+                        updatedAt: new Date().valueOf()
+                    });
+
+                    cursor.save(function(err, cursor) {
+                        if (err)
+                            self.logger().error("[NEM] [ERROR] [PAY-FALLBACK]", __line, "Error saving NEMAccountCursor: " + err);
+
+                        return callback(err, cursor);
+                    });
+                }, function(err) {
+                    self.logger().error("[NEM] [ERROR] [PAY-FALLBACK]", __line, "NIS API account.transactions.incoming Error: " + err);
+                    return callback(err);
+                });
+        };
+
+        /**
+         * Match a confirmed transaction to payment channels, unless it was
+         * processed already (NEMTransactionPool).
+         *
+         * @param  [TransactionMetaDataPair]{@link http://bob.nem.ninja/docs/#transactionMetaDataPair} transactionMetaDataPair
+         * @param  {String}     trxGateway  Label of the transaction source
+         * @param  {Function}   callback    Called with (err, isProcessed)
+         * @return void
+         */
+        this.processConfirmedTransaction = function(transactionMetaDataPair, trxGateway, callback = null) {
+            var self = this;
+            var trxHash = self.blockchain_.getTransactionHash(transactionMetaDataPair);
+
+            if (!callback)
+                callback = function() {};
+
+            // the pool entry is inserted first, the unique {status, transactionHash}
+            // index makes sure only one gateway (SOCKET or PAY-FALLBACK) processes
+            // the transaction when both receive it at the same time.
+            var creation = new self.db_.NEMTransactionPool({
+                status: "confirmed",
+                transactionHash: trxHash,
+                createdAt: new Date().valueOf()
+            });
+
+            creation.save(function(err) {
+                if (err && err.code === 11000)
+                // duplicate key => transaction already processed.
+                    return callback(null, false);
+
+                if (err)
+                    return callback(err, false);
+
+                self.db_.NEMPaymentChannel.matchTransactionToChannel(self.blockchain_, transactionMetaDataPair, function(result) {
+                    transactionMatchResultHandler(self, result, "confirmed", trxGateway);
+                    return callback(null, true);
+                });
+            });
         };
 
         var self = this; {
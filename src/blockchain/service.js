@@ -21,6 +21,10 @@
         nemAPI = require("nem-api"),
         PaymentProcessor = require("./payment-processor.js").PaymentProcessor,
         MultisigCosignatory = require("./multisig-cosignatory.js").MultisigCosignatory,
+        MultisigAuditor = require("./multisig-auditor.js").MultisigAuditor,
+        WebhookDispatcher = require("./webhook-dispatcher.js").WebhookDispatcher,
+        NodePool = require("./node-pool.js").NodePool,
+        ConnectionManager = require("./connection-manager.js").ConnectionManager,
         BlocksAuditor = require("./blocks-auditor.js").BlocksAuditor;
 
     /**
@@ -52,12 +56,18 @@
         // following is our bot's XEM wallet address
         this.botMode_ = process.env["BOT_MODE"] || this.conf_.bot.mode;
         this.botReadWallet_ = (process.env["BOT_READ_WALLET"] || this.conf_.bot.read.walletAddress).replace(/-/g, "");
-        this.botSignMultisig_ = (process.env["BOT_MULTISIG_WALLET"] || this.conf_.bot.sign.multisigAddress).replace(/-/g, "");
-        this.botSignWallet_ = (process.env["BOT_SIGN_WALLET"] || this.conf_.bot.sign.cosignatory.walletAddress).replace(/-/g, "");
+        this.botSignAccounts_ = null;
         this.botTipperWallet_ = (process.env["BOT_TIPPER_WALLET"] || this.conf_.bot.tipper.walletAddress).replace(/-/g, "");
 
+        // cache of mosaic divisibilities by mosaic slug (namespace:mosaic)
+        this.mosaicDivisibilities_ = { "nem:xem": 6 };
+
         this.paymentProcessor_ = undefined;
         this.multisigCosignatory_ = undefined;
+        this.webhookDispatcher_ = undefined;
+        this.multisigAuditor_ = undefined;
+        this.nodePool_ = undefined;
+        this.connectionManager_ = undefined;
 
         // define a helper for development debug of websocket
         this.socketLog = function(msg, type) {
@@ -79,6 +89,47 @@
             return this.node_;
         };
 
+        /**
+         * Change the NEM node used by all modules of this NEMBot.
+         *
+         * @param  {String}     host
+         * @param  {Integer}    port
+         * @return {Object}     The new endpoint
+         */
+        this.setEndpoint = function(host, port) {
+            this.nemHost = host;
+            this.nemPort = port;
+            this.node_ = this.nem_.model.objects.create("endpoint")(host, port);
+
+            return this.node_;
+        };
+
+        /**
+         * Get the list of endpoints to use for announcing transactions. The
+         * currently connected node comes first, followed by the healthy nodes
+         * of the NodePool ordered by score and the other configured nodes.
+         *
+         * @return {Array}
+         */
+        this.getAnnounceEndpoints = function() {
+            var self = this;
+            var pool = self.getNodePool();
+            var healthy = pool.getHealthyNodes();
+            var nodes = healthy.concat(pool.getNodes().filter(function(node) {
+                return !pool.isBanned(node) && healthy.indexOf(node) === -1;
+            }));
+            var endpoints = [self.node_];
+
+            for (var i = 0; i < nodes.length; i++) {
+                if (nodes[i].host == self.node_.host && nodes[i].port == self.node_.port)
+                    continue;
+
+                endpoints.push(self.nem_.model.objects.create("endpoint")(nodes[i].host, nodes[i].port));
+            }
+
+            return endpoints;
+        };
+
         this.logger = function() {
             return this.logger_;
         };
@@ -119,37 +170,143 @@
             return this.botReadWallet_;
         };
 
+        /**
+         * Get this bot's READ Wallet Private Key.
+         *
+         * This key is optional and only used for decrypting encrypted
+         * transaction messages sent to the read wallet.
+         *
+         * @return string
+         */
+        this.getBotReadSecret = function() {
+            return process.env["BOT_READ_PKEY"] || this.conf_.bot.read.privateKey;
+        };
+
+        /**
+         * Get this bot's SIGNING accounts. Each entry holds the Multi Signature
+         * account address and the cosignatory wallet used for Co-Signing its
+         * transactions:
+         *
+         *     {
+         *         multisigAddress: "TCTIM..",
+         *         walletAddress: "TBRA6..",
+         *         privateKey: "..",
+         *         acceptFrom: ["72117b.."],
+         *         limits: { daily: 0, .. },
+         *         dailyMaxAmount: 0,
+         *         modifications: { allowSelfRemoval: false, minCosignatories: 2 }
+         *     }
+         *
+         * Accounts are read from `bot.sign.accounts`. When no accounts are
+         * configured, the `bot.sign.multisigAddress` and `bot.sign.cosignatory`
+         * options are used (environment variables can only overwrite these).
+         *
+         * @return {Array}
+         */
+        this.getBotSignAccounts = function() {
+            if (this.botSignAccounts_ !== null)
+                return this.botSignAccounts_;
+
+            var conf = this.conf_.bot.sign || {};
+            var accounts = conf.accounts;
+
+            if (!accounts || !accounts.length) {
+                var cosignatory = conf.cosignatory || {};
+                accounts = [{
+                    multisigAddress: process.env["BOT_MULTISIG_WALLET"] || conf.multisigAddress,
+                    cosignatory: {
+                        walletAddress: process.env["BOT_SIGN_WALLET"] || cosignatory.walletAddress,
+                        privateKey: process.env["BOT_SIGN_PKEY"] || cosignatory.privateKey,
+                        acceptFrom: cosignatory.acceptFrom
+                    },
+                    limits: conf.limits,
+                    dailyMaxAmount: conf.dailyMaxAmount,
+                    modifications: conf.modifications
+                }];
+            }
+
+            this.botSignAccounts_ = accounts.map(function(account) {
+                var cosignatory = account.cosignatory || {};
+                var acceptFrom = cosignatory.acceptFrom || [];
+
+                return {
+                    "multisigAddress": (account.multisigAddress || "").replace(/-/g, "").toUpperCase(),
+                    "walletAddress": (cosignatory.walletAddress || "").replace(/-/g, "").toUpperCase(),
+                    "privateKey": cosignatory.privateKey,
+                    "acceptFrom": typeof acceptFrom == "string" ? [acceptFrom] : acceptFrom,
+                    "limits": account.limits || {},
+                    "dailyMaxAmount": parseInt(account.dailyMaxAmount) || 0,
+                    "modifications": account.modifications || conf.modifications || {}
+                };
+            });
+
+            return this.botSignAccounts_;
+        };
+
+        /**
+         * Get the SIGNING account configured for a Multi Signature
+         * account address.
+         *
+         * @param  {String} multisigAddress
+         * @return {Object|null}
+         */
+        this.getBotSignAccount = function(multisigAddress) {
+            var address = (multisigAddress || "").replace(/-/g, "").toUpperCase();
+            var accounts = this.getBotSignAccounts();
+
+            for (var i = 0; i < accounts.length; i++) {
+                if (accounts[i].multisigAddress === address)
+                    return accounts[i];
+            }
+
+            return null;
+        };
+
         /**
          * Get this bot's SIGNING Wallet Address
          *
          * This is the wallet used for Co-Signing Multi Signature Transactions,
-         * the privateKey must be set for this feature to work.
+         * the privateKey must be set for this feature to work. With multiple
+         * signing accounts, this is the wallet of the first account.
          *
          * @return string   XEM account address for the Bot
          */
         this.getBotSignWallet = function() {
-            return this.botSignWallet_;
+            return this.getBotSignAccounts()[0].walletAddress;
         };
 
         /**
          * Get this bot's Multi Signature Wallet Address
          *
-         * This is the Multi Signature account holding funds.
+         * This is the Multi Signature account holding funds. With multiple
+         * signing accounts, this is the address of the first account.
          *
          * @return string   XEM account address for the Bot
          */
         this.getBotSignMultisigWallet = function() {
-            return this.botSignMultisig_;
+            return this.getBotSignAccounts()[0].multisigAddress;
         };
 
         /**
-         * Get this bot's secret Private Key.
+         * Get this bot's secret Private Key. With multiple signing
+         * accounts, this is the key of the first account.
          *
          * @return string   XEM account address for the Bot
          */
         this.getBotSignSecret = function() {
-            var pkey = (process.env["BOT_SIGN_PKEY"] || this.conf_.bot.sign.cosignatory.privateKey);
-            return pkey;
+            return this.getBotSignAccounts()[0].privateKey;
+        };
+
+        /**
+         * Get this bot's Refund Private Key. This key is used to send refunds
+         * for overpaid payment channels and must be the private key of the
+         * payment channels recipient (`bot.read.walletAddress`).
+         *
+         * @return string
+         */
+        this.getBotRefundSecret = function() {
+            var refunds = this.conf_.bot.read.refunds || {};
+            return process.env["BOT_REFUND_PKEY"] || refunds.privateKey;
         };
 
         /**
@@ -184,6 +341,44 @@
             };
         };
 
+        /**
+         * Get the ordered list of strategies used to match transactions
+         * to payment channels (`bot.read.matchStrategies`).
+         *
+         * When not configured, only the "message" strategy is used in case
+         * `bot.read.useTransactionMessageAlways` is enabled.
+         *
+         * @return {Array}
+         */
+        this.getPaymentMatchStrategies = function() {
+            var strategies = this.conf_.bot.read.matchStrategies;
+            if (strategies && strategies.length)
+                return typeof strategies == "string" ? [strategies] : strategies;
+
+            if (this.conf_.bot.read.useTransactionMessageAlways === true)
+                return ["message"];
+
+            return ["message", "sender", "amount"];
+        };
+
+        /**
+         * Check whether the given XEM address is valid and belongs to
+         * the currently used network (Testnet, Mainnet or Mijin).
+         *
+         * @param  {String}  address
+         * @return {Boolean}
+         */
+        this.isValidAddress = function(address) {
+            if (!address || typeof address != "string")
+                return false;
+
+            var cleanAddress = address.replace(/-/g, "").toUpperCase();
+            if (!this.nem_.model.address.isValid(cleanAddress))
+                return false;
+
+            return this.nem_.model.address.isFromNetwork(cleanAddress, this.getNetwork().config.id);
+        };
+
         this.setDatabaseAdapter = function(db) {
             this.db_ = db;
             return this;
@@ -243,6 +438,80 @@
             return this.multisigCosignatory_;
         };
 
+        /**
+         * This method initializes the WebhookDispatcher instance
+         * for the running bot.
+         *
+         * The returned object is responsible for delivering Payment
+         * Updates to the `notifyUrl` of Payment Channels.
+         *
+         * @param   {Boolean}   reset   Whether to reset the instance
+         * @return  {WebhookDispatcher}
+         */
+        this.getWebhookDispatcher = function(reset = false) {
+            if (!this.webhookDispatcher_ || reset === true) {
+                this.webhookDispatcher_ = new WebhookDispatcher(this);
+            }
+
+            return this.webhookDispatcher_;
+        };
+
+        /**
+         * This method initializes the MultisigAuditor instance
+         * for the running bot.
+         *
+         * The returned object is responsible for auditing the state
+         * of Multi Signature accounts in case the Bot is configured
+         * in Read-Mode.
+         *
+         * @param   {Boolean}   reset   Whether to reset the instance
+         * @return  {MultisigAuditor}
+         */
+        this.getMultisigAuditor = function(reset = false) {
+            if (!this.multisigAuditor_ || reset === true) {
+                this.multisigAuditor_ = new MultisigAuditor(this);
+            }
+
+            return this.multisigAuditor_;
+        };
+
+        /**
+         * This method initializes the NodePool instance
+         * for the running bot.
+         *
+         * The returned object is responsible for probing and ranking
+         * the configured NEM nodes. The best healthy node is used as
+         * the endpoint of this service.
+         *
+         * @param   {Boolean}   reset   Whether to reset the instance
+         * @return  {NodePool}
+         */
+        this.getNodePool = function(reset = false) {
+            if (!this.nodePool_ || reset === true) {
+                this.nodePool_ = new NodePool(this);
+            }
+
+            return this.nodePool_;
+        };
+
+        /**
+         * This method initializes the ConnectionManager instance
+         * for the running bot.
+         *
+         * The returned object owns the NEM websocket connection shared
+         * by all modules of the bot.
+         *
+         * @param   {Boolean}   reset   Whether to reset the instance
+         * @return  {ConnectionManager}
+         */
+        this.getConnectionManager = function(reset = false) {
+            if (!this.connectionManager_ || reset === true) {
+                this.connectionManager_ = new ConnectionManager(this);
+            }
+
+            return this.connectionManager_;
+        };
+
         /**
          * Read blockchain transaction ID from TransactionMetaDataPair
          *
@@ -272,12 +541,16 @@
         };
 
         /**
-         * Read the Transaction XEM Amount.
+         * Read the Transaction Amount for the given Mosaic (defaults to XEM).
+         *
+         * The returned amount is expressed in the smallest unit of the Mosaic
+         * (micro XEM for `nem:xem`).
          *
          * @param  [TransactionMetaDataPair]{@link http://bob.nem.ninja/docs/#transactionMetaDataPair} transactionMetaDataPair
-         * @return {[type]}                         [description]
+         * @param  {String}     mosaicSlug      Mosaic to read (namespace:mosaic)
+         * @return {Number}
          */
-        this.getTransactionAmount = function(transactionMetaDataPair, mosaicSlug = 'nem:xem', divisibility = 6) {
+        this.getTransactionAmount = function(transactionMetaDataPair, mosaicSlug = 'nem:xem') {
             var meta = transactionMetaDataPair.meta;
             var content = transactionMetaDataPair.transaction;
 
@@ -290,8 +563,10 @@
 
             if (isMosaic) {
                 // read mosaics to find XEM, `content.amount` is now a multiplier!
+                // The multiplier is always expressed in micro units (10^6), mosaic
+                // quantities are expressed in the smallest unit of the mosaic.
 
-                var multiplier = realContent.amount / Math.pow(10, divisibility); // from microXEM to XEM
+                var multiplier = realContent.amount / Math.pow(10, 6);
                 for (var i in realContent.mosaics) {
                     var mosaic = realContent.mosaics[i];
                     var isLookupMosaic = mosaic.mosaicId.namespaceId == lookupNS &&
@@ -315,6 +590,91 @@
             return realContent.amount;
         };
 
+        /**
+         * Read the list of Mosaic slugs (namespace:mosaic) transferred
+         * with the given transaction. Simple XEM transfers will return
+         * `["nem:xem"]`.
+         *
+         * @param  [TransactionMetaDataPair]{@link http://bob.nem.ninja/docs/#transactionMetaDataPair} transactionMetaDataPair
+         * @return {Array}
+         */
+        this.getTransactionMosaics = function(transactionMetaDataPair) {
+            var content = transactionMetaDataPair.transaction;
+
+            var isMultiSig = content.type === this.nem_.model.transactionTypes.multisigTransaction;
+            var realContent = isMultiSig ? content.otherTrans : content;
+
+            if (!realContent.mosaics || !realContent.mosaics.length)
+                return realContent.amount > 0 ? ["nem:xem"] : [];
+
+            return realContent.mosaics.map(function(mosaic) {
+                return mosaic.mosaicId.namespaceId + ":" + mosaic.mosaicId.name;
+            });
+        };
+
+        /**
+         * Read the divisibility of a Mosaic from its Mosaic Definition on
+         * the blockchain. Divisibilities are cached such that the NIS API
+         * is only requested once per Mosaic.
+         *
+         * The `callback` is called with an error message or `null` as the
+         * first argument and the divisibility as the second argument.
+         *
+         * Mosaic Definitions are read by pages of 25 definitions with the
+         * `/namespace/mosaic/definition/page` NIS API, the SDK does not
+         * support paginating this endpoint.
+         *
+         * @param  {String}     mosaicSlug      Mosaic to read (namespace:mosaic)
+         * @param  {Function}   callback
+         * @param  {Integer}    lastDefinitionId    Used for paginating Mosaic Definitions
+         * @return void
+         */
+        this.getMosaicDivisibility = function(mosaicSlug, callback, lastDefinitionId = undefined) {
+            var self = this;
+
+            if (self.mosaicDivisibilities_.hasOwnProperty(mosaicSlug))
+                return callback(null, self.mosaicDivisibilities_[mosaicSlug]);
+
+            var lookupNS = mosaicSlug.replace(/:[^:]+$/, "");
+            var lookupMos = mosaicSlug.replace(/^[^:]+:/, "");
+
+            var path = "/namespace/mosaic/definition/page?namespace=" + encodeURIComponent(lookupNS);
+            if (lastDefinitionId !== undefined)
+                path += "&id=" + lastDefinitionId;
+
+            self.getNodePool().request(self.endpoint(), path, function(err, res) {
+                if (err) {
+                    self.logger().error("[NEM] [ERROR] [MOSAICS]", __line, "NIS API namespace/mosaic/definition/page Error: " + JSON.stringify(err));
+                    return callback("Could not read mosaic definitions of namespace " + lookupNS + ".");
+                }
+
+                var definitions = res && res.data ? res.data : [];
+
+                for (var i = 0; i < definitions.length; i++) {
+                    var definition = definitions[i].mosaic;
+                    if (definition.id.namespaceId != lookupNS || definition.id.name != lookupMos)
+                        continue;
+
+                    var divisibility = 0;
+                    for (var j = 0; j < definition.properties.length; j++) {
+                        if (definition.properties[j].name == "divisibility")
+                            divisibility = parseInt(definition.properties[j].value);
+                    }
+
+                    self.mosaicDivisibilities_[mosaicSlug] = divisibility;
+                    return callback(null, divisibility);
+                }
+
+                var lastId = definitions.length == 25 && definitions[24].meta ? definitions[24].meta.id : undefined;
+                if (lastId !== undefined && (lastDefinitionId === undefined || lastId < lastDefinitionId)) {
+                    // there may be more mosaic definitions in this namespace
+                    return self.getMosaicDivisibility(mosaicSlug, callback, lastId);
+                }
+
+                return callback("Mosaic definition not found for " + mosaicSlug + ".");
+            });
+        };
+
         /**
          * Read the Transaction XEM Fee amount.
          *
@@ -328,6 +688,20 @@
             return content.fee;
         };
 
+        /**
+         * Read the Transaction deadline as a Javascript timestamp. NIS
+         * timestamps are expressed in seconds since the NEM nemesis block.
+         *
+         * @param  [TransactionMetaDataPair]{@link http://bob.nem.ninja/docs/#transactionMetaDataPair} transactionMetaDataPair
+         * @return {Integer}    Timestamp in Milliseconds
+         */
+        this.getTransactionDeadline = function(transactionMetaDataPair) {
+            var content = transactionMetaDataPair.transaction;
+            var nemEpoch = Date.UTC(2015, 2, 29, 0, 6, 25, 0);
+
+            return nemEpoch + content.deadline * 1000;
+        };
+
         /**
          * Read the Transaction SENDER XEM Address.
          *
@@ -351,6 +725,22 @@
             return sender;
         };
 
+        /**
+         * Read the Transaction RECIPIENT XEM Address. For multisig transactions
+         * this is the recipient of the inner transfer transaction.
+         *
+         * @param  [TransactionMetaDataPair]{@link http://bob.nem.ninja/docs/#transactionMetaDataPair} transactionMetaDataPair
+         * @return {String}
+         */
+        this.getTransactionRecipient = function(transactionMetaDataPair) {
+            var content = transactionMetaDataPair.transaction;
+
+            var multisigType = this.nem().model.transactionTypes.multisigTransaction;
+            var realContent = content.type === multisigType ? content.otherTrans : content;
+
+            return realContent.recipient;
+        };
+
         this.getAddressFromPublicKey = function(pubKey) {
             var network = this.getNetwork().config.id;
             var address = this.nem().model.address.toAddress(pubKey, network);
@@ -380,8 +770,15 @@
 
             //DEBUG logger_.info("[DEBUG]", "[BLOCKCHAIN]", "Reading following message: " + JSON.stringify(trxRealData.message));
 
-            // decode transaction message and job done
             var payload = trxRealData.message.payload;
+
+            if (trxRealData.message.type === 2) {
+                // encrypted message, can only be decrypted with the recipient private key
+                // and the sender public key.
+                return this.decryptTransactionMessage(trxRealData.recipient, trxRealData.signer, payload);
+            }
+
+            // decode transaction message and job done
             var plain = this.nem().utils.convert.hex2a(payload);
 
             //DEBUG logger_.info("[DEBUG]", "[BLOCKCHAIN]", "Message Read: " + JSON.stringify(plain));
@@ -389,6 +786,40 @@
             return plain;
         };
 
+        /**
+         * Decrypt an encrypted transaction message payload (message type 2).
+         *
+         * Messages can only be decrypted for transactions sent to the Bot's
+         * read wallet, with `bot.read.privateKey` configured. Encrypted messages
+         * sent to other payment channel recipients are never decrypted, the
+         * "message" matching strategy is skipped for those. An empty string
+         * is returned for messages which cannot be decrypted.
+         *
+         * @param  {String} recipient       XEM address of the transaction recipient
+         * @param  {String} senderPubKey    Public key of the transaction signer
+         * @param  {String} payload         Encrypted message payload (hexadecimal)
+         * @return {String}
+         */
+        this.decryptTransactionMessage = function(recipient, senderPubKey, payload) {
+            var privateKey = this.getBotReadSecret();
+
+            if (!privateKey || !this.nem().utils.helpers.isPrivateKeyValid(privateKey))
+            // encrypted messages are not supported without private key.
+                return "";
+
+            if (recipient != this.getBotReadWallet())
+            // our private key can only decrypt messages sent to our wallet.
+                return "";
+
+            try {
+                var decoded = this.nem().crypto.helpers.decode(privateKey, senderPubKey, payload);
+                return this.nem().utils.convert.hex2a(decoded);
+            } catch (e) {
+                this.logger().warn("[NEM] [BLOCKCHAIN]", __line, "Could not decrypt transaction message: " + e);
+                return "";
+            }
+        };
+
         var self = this; {
             // nothing more done on instanciation
         }
@@ -0,0 +1,280 @@
+/**
+ * Part of the evias/nem-nodejs-bot package.
+ *
+ * NOTICE OF LICENSE
+ *
+ * Licensed under MIT License.
+ *
+ * This source file is subject to the MIT License that is
+ * bundled with this package in the LICENSE file.
+ *
+ * @package    evias/nem-nodejs-bot
+ * @author     Grégory Saive <greg@evias.be> (https://github.com/evias)
+ * @license    MIT License
+ * @copyright  (c) 2017, Grégory Saive <greg@evias.be>
+ * @link       https://github.com/evias/nem-nodejs-bot
+ */
+
+(function() {
+
+    var fs = require("fs"),
+        path = require("path");
+
+    /**
+     * Rejection codes returned in verdicts of SigningPolicy.evaluate.
+     *
+     * @var {Object}
+     */
+    var PolicyCodes = {
+        "TYPE_NOT_ALLOWED": "type_not_allowed",
+        "RECIPIENT_DENIED": "recipient_denied",
+        "RECIPIENT_NOT_ALLOWED": "recipient_not_allowed",
+        "AMOUNT_EXCEEDED": "amount_exceeded",
+        "RECIPIENT_LIMIT_EXCEEDED": "recipient_limit_exceeded",
+        "MOSAIC_LIMIT_EXCEEDED": "mosaic_limit_exceeded",
+        "MESSAGE_MISMATCH": "message_mismatch",
+        "OUTSIDE_TIME_WINDOW": "outside_time_window",
+        "POLICY_ERROR": "policy_error"
+    };
+
+    /**
+     * class SigningPolicy implements the declarative co-signing rules of
+     * the sign bot. The policy is read from the JSON file configured in
+     * `bot.sign.policyFile` (relative to the package root) or from the
+     * `bot.sign.policy` object.
+     *
+     * Following rules can be defined:
+     *
+     * - allowedTypes : Inner transaction type names (`nem.model.transactionTypes`)
+     * - recipients.allow / recipients.deny : Recipient XEM addresses
+     * - limits.perTransaction : Maximum Micro XEM amount per transaction
+     * - limits.perRecipient : Maximum Micro XEM amount per transaction by recipient
+     * - limits.mosaics : Maximum quantity per transaction by mosaic slug
+     * - messagePatterns : Regular expressions, one must match the message
+     * - timeWindows : UTC windows `{ days: [1,2,3,4,5], from: "08:00", to: "18:00" }`
+     *
+     * Rules which are not defined are not checked. When no `allowedTypes`
+     * are defined, the `bot.sign.onlyTransfers` option is used.
+     *
+     * The policy is loaded when the sign bot starts, an invalid policy file
+     * or message pattern stops the bot before any transaction is co-signed.
+     *
+     * @author  Grégory Saive <greg@evias.be> (https://github.com/evias)
+     */
+    var SigningPolicy = function(chainDataLayer) {
+
+        this.blockchain_ = chainDataLayer;
+        this.policy_ = null;
+        this.messagePatterns_ = [];
+
+        this.logger = function() {
+            return this.blockchain_.logger();
+        };
+
+        this.config = function() {
+            return this.blockchain_.conf_;
+        };
+
+        /**
+         * Load the policy from `bot.sign.policyFile` or `bot.sign.policy`
+         * and compile its message patterns.
+         *
+         * @param  {Boolean} reset  Whether to reload the policy file
+         * @return {Object}
+         * @throws {String}         When the policy file or a message pattern is invalid
+         */
+        this.getPolicy = function(reset = false) {
+            if (!reset && this.policy_ !== null)
+                return this.policy_;
+
+            var conf = this.config().bot.sign;
+            var policy = conf.policy || {};
+
+            if (conf.policyFile && conf.policyFile.length) {
+                var policyPath = path.resolve(__dirname + "/../../", conf.policyFile);
+
+                try {
+                    policy = JSON.parse(fs.readFileSync(policyPath, "utf8"));
+                } catch (e) {
+                    // never sign with a partially loaded policy.
+                    throw "Invalid signing policy file '" + policyPath + "': " + e;
+                }
+            }
+
+            if (!policy.allowedTypes || !policy.allowedTypes.length)
+                policy.allowedTypes = conf.onlyTransfers === false ? [] : ["transfer"];
+
+            this.messagePatterns_ = (policy.messagePatterns || []).map(function(pattern) {
+                try {
+                    return new RegExp(pattern);
+                } catch (e) {
+                    throw "Invalid signing policy message pattern '" + pattern + "': " + e;
+                }
+            });
+
+            this.policy_ = policy;
+            return this.policy_;
+        };
+
+        /**
+         * Build a verdict object.
+         *
+         * @param  {String|null} code
+         * @param  {String|null} reason
+         * @return {Object}
+         */
+        this.verdict = function(code = null, reason = null) {
+            return {
+                "valid": code === null,
+                "code": code,
+                "reason": reason
+            };
+        };
+
+        /**
+         * Evaluate the policy rules for the inner transaction of a multisig
+         * transaction. The first rule which is not respected produces the
+         * returned verdict. Errors during the evaluation produce a `policy_error`
+         * verdict, the transaction is never signed.
+         *
+         * @param  [TransactionMetaDataPair]{@link http://bob.nem.ninja/docs/#transactionMetaDataPair} transactionMetaDataPair
+         * @param  {Date}   date    (Optional) Date used for time windows
+         * @return {Object}         Verdict `{valid: Boolean, code: String|null, reason: String|null}`
+         */
+        this.evaluate = function(transactionMetaDataPair, date = new Date()) {
+            try {
+                return this.evaluateRules(transactionMetaDataPair, date);
+            } catch (e) {
+                this.logger().error("[NEM] [SIGN-SOCKET] [POLICY]", __line, "Signing policy evaluation failed: " + e);
+                return this.verdict(PolicyCodes.POLICY_ERROR, "Signing policy could not be evaluated: " + e);
+            }
+        };
+
+        /**
+         * Evaluate the policy rules, see SigningPolicy.evaluate.
+         *
+         * @param  [TransactionMetaDataPair]{@link http://bob.nem.ninja/docs/#transactionMetaDataPair} transactionMetaDataPair
+         * @param  {Date}   date
+         * @return {Object}         Verdict `{valid: Boolean, code: String|null, reason: String|null}`
+         * @throws {String}         When the policy cannot be loaded
+         */
+        this.evaluateRules = function(transactionMetaDataPair, date) {
+            var self = this;
+            var policy = self.getPolicy();
+            var nem = self.blockchain_.nem();
+            var innerTrx = transactionMetaDataPair.transaction.otherTrans;
+            var typeName = self.getTypeName(innerTrx.type);
+
+            // (1) transaction types
+            if (policy.allowedTypes.length && policy.allowedTypes.indexOf(typeName) === -1)
+                return self.verdict(PolicyCodes.TYPE_NOT_ALLOWED, "Transaction type '" + typeName + "' is not allowed.");
+
+            // (2) time-of-day windows
+            if (policy.timeWindows && policy.timeWindows.length && !self.isInTimeWindow(policy.timeWindows, date))
+                return self.verdict(PolicyCodes.OUTSIDE_TIME_WINDOW, "Transaction received outside of the signing time windows.");
+
+            if (innerTrx.type !== nem.model.transactionTypes.transfer)
+            // following rules only apply to transfer transactions.
+                return self.verdict();
+
+            var recipient = innerTrx.recipient;
+            var recipients = policy.recipients || {};
+            var limits = policy.limits || {};
+
+            // (3) recipient denylist and allowlist
+            if (recipients.deny && recipients.deny.indexOf(recipient) !== -1)
+                return self.verdict(PolicyCodes.RECIPIENT_DENIED, "Recipient " + recipient + " is denied.");
+
+            if (recipients.allow && recipients.allow.length && recipients.allow.indexOf(recipient) === -1)
+                return self.verdict(PolicyCodes.RECIPIENT_NOT_ALLOWED, "Recipient " + recipient + " is not allowed.");
+
+            // (4) amount limits
+            var amount = self.blockchain_.getTransactionAmount(transactionMetaDataPair);
+
+            if (limits.perTransaction > 0 && amount > limits.perTransaction)
+                return self.verdict(PolicyCodes.AMOUNT_EXCEEDED, "Amount " + amount + " exceeds the limit of " + limits.perTransaction + " per transaction.");
+
+            if (limits.perRecipient && limits.perRecipient.hasOwnProperty(recipient) && amount > limits.perRecipient[recipient])
+                return self.verdict(PolicyCodes.RECIPIENT_LIMIT_EXCEEDED, "Amount " + amount + " exceeds the limit of " + limits.perRecipient[recipient] + " for " + recipient + ".");
+
+            // (5) mosaic limits
+            var mosaics = self.blockchain_.getTransactionMosaics(transactionMetaDataPair);
+            for (var i = 0; limits.mosaics && i < mosaics.length; i++) {
+                var slug = mosaics[i];
+                if (!limits.mosaics.hasOwnProperty(slug))
+                    continue;
+
+                var quantity = self.blockchain_.getTransactionAmount(transactionMetaDataPair, slug);
+                if (quantity > limits.mosaics[slug])
+                    return self.verdict(PolicyCodes.MOSAIC_LIMIT_EXCEEDED, "Quantity " + quantity + " of " + slug + " exceeds the limit of " + limits.mosaics[slug] + ".");
+            }
+
+            // (6) message patterns
+            if (self.messagePatterns_.length) {
+                var message = self.blockchain_.getTransactionMessage(transactionMetaDataPair);
+                var isMatch = self.messagePatterns_.some(function(pattern) {
+                    return pattern.test(message);
+                });
+
+                if (!isMatch)
+                    return self.verdict(PolicyCodes.MESSAGE_MISMATCH, "Message '" + message + "' does not match any of the message patterns.");
+            }
+
+            return self.verdict();
+        };
+
+        /**
+         * Get the `nem.model.transactionTypes` name of a transaction type.
+         *
+         * @param  {Integer} type
+         * @return {String}
+         */
+        this.getTypeName = function(type) {
+            var types = this.blockchain_.nem().model.transactionTypes;
+            for (var name in types) {
+                if (types[name] === type)
+                    return name;
+            }
+
+            return "unknown";
+        };
+
+        /**
+         * Check whether the given date is in one of the time windows. Time
+         * windows are expressed in UTC, `days` are numbers from 0 (Sunday)
+         * to 6 (Saturday). Windows where `from` is later than `to` span
+         * over midnight.
+         *
+         * @param  {Array}  windows
+         * @param  {Date}   date
+         * @return {Boolean}
+         */
+        this.isInTimeWindow = function(windows, date) {
+            var minutes = date.getUTCHours() * 60 + date.getUTCMinutes();
+            var toMinutes = function(time) {
+                var parts = (time || "00:00").split(":");
+                return parseInt(parts[0]) * 60 + parseInt(parts[1] || 0);
+            };
+
+            return windows.some(function(window) {
+                if (window.days && window.days.length && window.days.indexOf(date.getUTCDay()) === -1)
+                    return false;
+
+                var from = toMinutes(window.from);
+                var to = window.to ? toMinutes(window.to) : 24 * 60;
+
+                if (from <= to)
+                    return minutes >= from && minutes < to;
+
+                return minutes >= from || minutes < to;
+            });
+        };
+
+        var self = this; {
+            // nothing more done on instanciation
+        }
+    };
+
+    module.exports.SigningPolicy = SigningPolicy;
+    module.exports.PolicyCodes = PolicyCodes;
+}());
@@ -17,12 +17,34 @@
 
 (function() {
 
-    var BlocksAuditor = require("./blocks-auditor.js").BlocksAuditor;
+    var EventEmitter = require("events").EventEmitter;
 
     /**
-     * class SocketErrorHandler implements a simple websocket error handler
-     * callback that can be used to issue re-connection in case of a dropped
-     * connection.
+     * Connection states emitted with the `connection_state` event.
+     *
+     * @var {Object}
+     */
+    var ConnectionStates = {
+        "CONNECTING": "connecting",
+        "CONNECTED": "connected",
+        "RECONNECTING": "reconnecting",
+        "SWITCHING": "switching"
+    };
+
+    /**
+     * class SocketErrorHandler implements the reconnect strategy of a
+     * websocket connection. The NEM Blockchain Socket should be alive as
+     * long as the bot is running, so we will always try to reconnect.
+     *
+     * Reconnects are delayed with an exponential backoff and a random
+     * jitter (`bot.reconnect.baseDelay`, `maxDelay` and `jitter`). Failures
+     * are counted by node, after `bot.reconnect.maxAttempts` failed
+     * reconnects the node is reported to the NodePool and the connection
+     * is switched to the next best node. Refused connections and timeouts
+     * switch the node directly. Failure counters of a node are reset once
+     * a connection was stable for `bot.reconnect.stablePeriod`.
+     *
+     * Every state change is emitted with the `connection_state` event.
      *
      * @author  Grégory Saive <greg@evias.be> (https://github.com/evias)
      */
@@ -42,8 +64,12 @@
 
         this.blockchain_ = this.module_.blockchain_;
         this.db_ = this.module_.db_;
-        this.nemsocket_ = this.module_.nemsocket_;
-        this.nemSubscriptions_ = {};
+
+        this.events_ = new EventEmitter();
+        this.state_ = null;
+        this.failures_ = {};
+        this.connectedAt_ = 0;
+        this.timer_ = null;
 
         this.logger = function() {
             return this.blockchain_.logger();
@@ -53,12 +79,197 @@
             return this.blockchain_.conf_;
         };
 
+        /**
+         * Read the reconnect configuration `bot.reconnect`.
+         *
+         * @return {Object}
+         */
+        this.getOptions = function() {
+            var conf = this.config().bot.reconnect || {};
+
+            return {
+                "baseDelay": parseInt(conf.baseDelay) || 1000,
+                "maxDelay": parseInt(conf.maxDelay) || 60 * 1000,
+                "jitter": conf.hasOwnProperty("jitter") ? parseFloat(conf.jitter) : 0.3,
+                "maxAttempts": parseInt(conf.maxAttempts) || 3,
+                "stablePeriod": parseInt(conf.stablePeriod) || 60 * 1000
+            };
+        };
+
+        /**
+         * Register a listener, e.g. for the `connection_state` event.
+         *
+         * @param  {String}     event
+         * @param  {Function}   listener
+         * @return {SocketErrorHandler}
+         */
+        this.on = function(event, listener) {
+            this.events_.on(event, listener);
+            return this;
+        };
+
+        /**
+         * Get the current connection state.
+         *
+         * @return {String|null}
+         */
+        this.getState = function() {
+            return this.state_;
+        };
+
+        /**
+         * Change the connection state and emit the `connection_state` event.
+         *
+         * @param  {String}     state
+         * @param  {Object}     data
+         * @return {SocketErrorHandler}
+         */
+        this.setState = function(state, data = {}) {
+            var endpoint = this.blockchain_.endpoint();
+
+            this.state_ = state;
+            this.events_.emit("connection_state", {
+                "state": state,
+                "node": endpoint.host + ":" + endpoint.port,
+                "failures": this.getFailures(),
+                "data": data,
+                "createdAt": new Date().valueOf()
+            });
+
+            return this;
+        };
+
+        /**
+         * Get the count of failures of the current node.
+         *
+         * @return {Integer}
+         */
+        this.getFailures = function() {
+            var endpoint = this.blockchain_.endpoint();
+            return this.failures_[endpoint.host + ":" + endpoint.port] || 0;
+        };
+
+        /**
+         * Get the delay before the next reconnect attempt. The delay doubles
+         * with each failure (1s, 2s, 4s, ..) up to `maxDelay`, a random jitter
+         * of up to `jitter` times the delay is added.
+         *
+         * @param  {Integer} failures   Count of failures
+         * @return {Integer}            Delay in Milliseconds
+         */
+        this.getBackoffDelay = function(failures) {
+            var options = this.getOptions();
+            var delay = Math.min(options.maxDelay, options.baseDelay * Math.pow(2, Math.max(0, failures - 1)));
+
+            return Math.round(delay + delay * options.jitter * Math.random());
+        };
+
+        /**
+         * This method is called when a connection is being established.
+         *
+         * @return {SocketErrorHandler}
+         */
+        this.onConnecting = function() {
+            return this.setState(ConnectionStates.CONNECTING);
+        };
+
+        /**
+         * This method is called when the connection is established.
+         *
+         * @return {SocketErrorHandler}
+         */
+        this.onConnected = function() {
+            this.connectedAt_ = new Date().valueOf();
+            return this.setState(ConnectionStates.CONNECTED);
+        };
+
+        /**
+         * Count a failure of the current node. Counters are reset in case
+         * the last connection was stable, such that only flapping nodes
+         * accumulate failures.
+         *
+         * @return {Integer}    Count of failures of the node
+         */
+        this.countFailure = function() {
+            var endpoint = this.blockchain_.endpoint();
+            var node = endpoint.host + ":" + endpoint.port;
+            var isStable = this.connectedAt_ > 0 && new Date().valueOf() - this.connectedAt_ >= this.getOptions().stablePeriod;
+
+            if (isStable || !this.failures_.hasOwnProperty(node))
+                this.failures_[node] = 0;
+
+            this.connectedAt_ = 0;
+            return ++this.failures_[node];
+        };
+
+        /**
+         * Schedule a reconnect to the current node after the backoff delay.
+         *
+         * @param  {Integer}    failures
+         * @return {SocketErrorHandler}
+         */
+        this.scheduleReconnect = function(failures) {
+            var self = this;
+            var delay = self.getBackoffDelay(failures);
+
+            self.logger().warn("[NEM] [" + self.module_.logLabel + "] [DROP]", __line, "Reconnect attempt " + failures + " in " + delay + "ms.");
+            self.setState(ConnectionStates.RECONNECTING, { "attempt": failures, "delay": delay });
+
+            self.timer_ = setTimeout(function() {
+                self.timer_ = null;
+                self.module_.connectBlockchainSocket();
+            }, delay);
+
+            return self;
+        };
+
+        /**
+         * Switch the connection to the best healthy node of the NodePool. The
+         * current node is reported as failed, the switch is delayed with the
+         * backoff delay of the current node's failures.
+         *
+         * @param  {String}     reason
+         * @return {SocketErrorHandler}
+         */
+        this.switchNode = function(reason) {
+            var self = this;
+            var failures = self.getFailures();
+            var delay = failures > 0 ? self.getBackoffDelay(failures) : 0;
+
+            if (self.timer_ !== null)
+                clearTimeout(self.timer_);
+
+            self.setState(ConnectionStates.SWITCHING, { "reason": reason, "delay": delay });
+
+            self.timer_ = setTimeout(function() {
+                self.timer_ = null;
+
+                // unsubscribe & disconnect, then re-issue connection
+                self.module_.disconnectBlockchainSocket(function() {
+                    var current = self.blockchain_.endpoint();
+                    var pool = self.blockchain_.getNodePool();
+
+                    pool.reportFailure(current.host, current.port, reason);
+
+                    var endpoint = pool.useBestNode([current]);
+
+                    self.logger().info("[NEM] [" + self.module_.logLabel + "] [AUDIT]", __line, "Socket now switching to Node: " + endpoint.host + ":" + endpoint.port + ".");
+
+                    self.module_.connectBlockchainSocket();
+                });
+            }, delay);
+
+            return self;
+        };
+
         var self = this;
 
         /**
-         * define helper for websocket error handling, the NEM Blockchain Socket
-         * should be alive as long as the bot is running so we will always try
-         * to reconnect, unless the bot has been stopped from running or has crashed.
+         * define helper for websocket error handling. Lost connections are
+         * re-connected with a backoff, refused connections and timeouts or
+         * nodes failing too often are switched.
+         *
+         * Errors received while a reconnect is scheduled are ignored.
          * 
          * @param   {String}    error   The Websocket Error message
          * @return  {Boolean}
@@ -68,36 +279,45 @@
             var regexp_LostConn = new RegExp(/Lost connection to/);
             var regexp_ConnRef = new RegExp(/ECONNREFUSED/);
             var regexp_Timeout = new RegExp(/ETIMEOUT/);
+            var socketHost = self.module_.nemsocket_ ? JSON.stringify(self.module_.nemsocket_.socketpt) : "?";
+
+            if (self.timer_ !== null)
+            // reconnect already scheduled
+                return false;
 
             if (regexp_LostConn.test(error)) {
                 // connection lost, re-connect
+                var failures = self.countFailure();
 
-                //XXX count reconnects max 3
+                if (failures > self.getOptions().maxAttempts) {
+                    self.logger()
+                        .warn("[NEM] [" + self.module_.logLabel + "] [DROP]", __line, "Connection lost " + failures + " times with node: " + socketHost + ".. Now switching.");
+
+                    return self.switchNode("Connection lost " + failures + " times");
+                }
 
                 self.logger()
-                    .warn("[NEM] [" + self.module_.logLabel + "] [DROP]", __line, "Connection lost with node: " + JSON.stringify(self.nemsocket_.socketpt) + ".. Now re-connecting.");
+                    .warn("[NEM] [" + self.module_.logLabel + "] [DROP]", __line, "Connection lost with node: " + socketHost + ".. Now re-connecting.");
 
-                self.module_.connectBlockchainSocket();
+                self.scheduleReconnect(failures);
                 return true;
             } else if (regexp_ConnRef.test(error) || regexp_Timeout.test(error)) {
                 // ECONNREFUSED|ETIMEOUT => switch node
+                self.countFailure();
 
                 self.logger()
-                    .warn("[NEM] [" + self.module_.logLabel + "] [DROP]", __line, "Connection impossible with node: " + JSON.stringify(self.nemsocket_.socketpt) + ".. Now switching.");
+                    .warn("[NEM] [" + self.module_.logLabel + "] [DROP]", __line, "Connection impossible with node: " + socketHost + ".. Now switching.");
 
-                var auditor = self.module_.getAuditor();
-                if (!auditor) auditor = new BlockAuditor(self.module_);
-
-                return auditor.autoSwitchSocketNode();
+                self.switchNode("Connection impossible");
+                return true;
             }
 
             // uncaught error happened
             self.logger()
                 .error("[NEM] [" + self.module_.logLabel + "] [ERROR]", __line, "Uncaught Error: " + error);
         };
-
-        var self = this;
     };
 
     module.exports.SocketErrorHandler = SocketErrorHandler;
-}());
\ No newline at end of file
+    module.exports.ConnectionStates = ConnectionStates;
+}());
@@ -0,0 +1,286 @@
+/**
+ * Part of the evias/nem-nodejs-bot package.
+ *
+ * NOTICE OF LICENSE
+ *
+ * Licensed under MIT License.
+ *
+ * This source file is subject to the MIT License that is
+ * bundled with this package in the LICENSE file.
+ *
+ * @package    evias/nem-nodejs-bot
+ * @author     Grégory Saive <greg@evias.be> (https://github.com/evias)
+ * @license    MIT License
+ * @copyright  (c) 2017, Grégory Saive <greg@evias.be>
+ * @link       https://github.com/evias/nem-nodejs-bot
+ */
+
+(function() {
+
+    /**
+     * Rolling windows durations in Milliseconds.
+     *
+     * @var {Object}
+     */
+    var Windows = {
+        "hourly": 60 * 60 * 1000,
+        "daily": 24 * 60 * 60 * 1000,
+        "weekly": 7 * 24 * 60 * 60 * 1000,
+        "monthly": 30 * 24 * 60 * 60 * 1000
+    };
+
+    /**
+     * class SpendingLimits implements rolling-window spending limits for
+     * the co-signatory bot. Amounts are summed from the NEMSignedTransaction
+     * entries of a multisig account created in the window.
+     *
+     * Limits are configured by signing account in `bot.sign.accounts[].limits`
+     * (or `bot.sign.limits`):
+     *
+     *     {
+     *         "hourly": 0, "daily": 0, "weekly": 0, "monthly": 0,
+     *         "mosaics": { "evias.pacnem:heart": { "daily": 100 } }
+     *     }
+     *
+     * XEM limits are expressed in Micro XEM, mosaic limits in the smallest
+     * unit of the mosaic. A limit of `0` means no limit. The legacy option
+     * `dailyMaxAmount` is used when no daily XEM limit is configured.
+     *
+     * Checks of a multisig account must run inside `lock` until the
+     * NEMSignedTransaction is saved, such that concurrent transactions
+     * never read the same usage.
+     *
+     * @author  Grégory Saive <greg@evias.be> (https://github.com/evias)
+     */
+    var SpendingLimits = function(chainDataLayer) {
+
+        this.blockchain_ = chainDataLayer;
+        this.db_ = this.blockchain_.getDatabaseAdapter();
+        this.locks_ = {};
+
+        this.logger = function() {
+            return this.blockchain_.logger();
+        };
+
+        this.config = function() {
+            return this.blockchain_.conf_;
+        };
+
+        /**
+         * Read the configured limits of a signing account.
+         *
+         * @param  {Object}     account     Signing account (see getBotSignAccounts)
+         * @return {Object}     `{ xem: { daily: 0, .. }, mosaics: { slug: { daily: 0, .. } } }`
+         */
+        this.getLimits = function(account) {
+            var limits = account.limits || {};
+            var xem = {};
+
+            for (var window in Windows)
+                xem[window] = parseInt(limits[window]) || 0;
+
+            if (!xem.daily && account.dailyMaxAmount > 0)
+                xem.daily = account.dailyMaxAmount;
+
+            return {
+                "xem": xem,
+                "mosaics": limits.mosaics || {}
+            };
+        };
+
+        /**
+         * Run `task` once no other task holds the lock of the multisig account.
+         * Tasks of the same account are run one after the other, in the order
+         * of their `lock` calls.
+         *
+         * @param  {Object}     account     Signing account (see getBotSignAccounts)
+         * @param  {Function}   task        Called with a `release` function which must be called when done
+         * @return void
+         */
+        this.lock = function(account, task) {
+            var self = this;
+            var key = account.multisigAddress;
+
+            if (!self.locks_.hasOwnProperty(key))
+                self.locks_[key] = [];
+
+            var queue = self.locks_[key];
+            var run = function() {
+                var isReleased = false;
+
+                task(function() {
+                    if (isReleased) return false;
+                    isReleased = true;
+
+                    queue.shift();
+                    if (queue.length)
+                        return queue[0]();
+
+                    delete self.locks_[key];
+                });
+            };
+
+            queue.push(run);
+            if (queue.length === 1)
+                run();
+        };
+
+        /**
+         * Sum the XEM and mosaic amounts signed for a signing account since `since`.
+         *
+         * @param  {Object}     account     Signing account (see getBotSignAccounts)
+         * @param  {Integer}    since       Timestamp in Milliseconds
+         * @param  {Function}   callback    Called with (err, {xem: Integer, mosaics: Object})
+         * @return void
+         */
+        this.getSpentSince = function(account, since, callback) {
+            var self = this;
+            var match = {
+                multisigXEM: account.multisigAddress,
+                status: { $ne: "failed" },
+                createdAt: { $gte: since }
+            };
+
+            self.db_.NEMSignedTransaction.aggregate([
+                { $match: match },
+                { $group: { _id: null, amountXEM: { $sum: "$amountXEM" } } }
+            ], function(err, xemData) {
+                if (err) return callback(err);
+
+                self.db_.NEMSignedTransaction.aggregate([
+                    { $match: match },
+                    { $unwind: "$mosaics" },
+                    { $match: { "mosaics.slug": { $ne: "nem:xem" } } },
+                    { $group: { _id: "$mosaics.slug", quantity: { $sum: "$mosaics.quantity" } } }
+                ], function(err, mosaicsData) {
+                    if (err) return callback(err);
+
+                    var spent = {
+                        "xem": xemData && xemData.length ? xemData[0].amountXEM : 0,
+                        "mosaics": {}
+                    };
+
+                    for (var i = 0; i < mosaicsData.length; i++)
+                        spent.mosaics[mosaicsData[i]._id] = mosaicsData[i].quantity;
+
+                    return callback(null, spent);
+                });
+            });
+        };
+
+        /**
+         * Get the current usage of all rolling windows of a signing account.
+         *
+         * @param  {Object}     account     Signing account (see getBotSignAccounts)
+         * @param  {Function}   callback    Called with (err, usage)
+         * @return void
+         */
+        this.getUsage = function(account, callback) {
+            var self = this;
+            var limits = self.getLimits(account);
+            var now = new Date().valueOf();
+            var windows = Object.keys(Windows);
+            var usage = {};
+
+            var readWindow = function(i) {
+                if (i >= windows.length)
+                    return callback(null, usage);
+
+                var window = windows[i];
+                var since = now - Windows[window];
+
+                self.getSpentSince(account, since, function(err, spent) {
+                    if (err) return callback(err);
+
+                    var mosaics = {};
+                    for (var slug in limits.mosaics) {
+                        var mosaicLimit = parseInt(limits.mosaics[slug][window]) || 0;
+                        mosaics[slug] = { "spent": spent.mosaics[slug] || 0, "limit": mosaicLimit };
+                    }
+
+                    for (var slug in spent.mosaics) {
+                        if (!mosaics.hasOwnProperty(slug))
+                            mosaics[slug] = { "spent": spent.mosaics[slug], "limit": 0 };
+                    }
+
+                    usage[window] = {
+                        "since": since,
+                        "xem": { "spent": spent.xem, "limit": limits.xem[window] },
+                        "mosaics": mosaics
+                    };
+
+                    return readWindow(i + 1);
+                });
+            };
+
+            readWindow(0);
+        };
+
+        /**
+         * Check whether signing the given transaction would pass one of the
+         * spending limits. The callback receives a verdict as returned by
+         * SigningPolicy.verdict.
+         *
+         * @param  [TransactionMetaDataPair]{@link http://bob.nem.ninja/docs/#transactionMetaDataPair} transactionMetaDataPair
+         * @param  {Object}     account     Signing account (see getBotSignAccounts)
+         * @param  {Function}   callback    Called with (verdict)
+         * @return void
+         */
+        this.check = function(transactionMetaDataPair, account, callback) {
+            var self = this;
+            var verdict = function(reason = null) {
+                return { "valid": reason === null, "code": reason === null ? null : "spending_limit_exceeded", "reason": reason };
+            };
+
+            self.getUsage(account, function(err, usage) {
+                if (err) {
+                    // never sign when the usage cannot be read.
+                    self.logger().error("[NEM] [SIGN-SOCKET] [ERROR]", __line, "Error reading spending limits usage: " + err);
+                    return callback(verdict("Spending limits usage could not be read."));
+                }
+
+                var amounts = self.getTransactionAmounts(transactionMetaDataPair);
+
+                for (var window in usage) {
+                    var xem = usage[window].xem;
+                    if (xem.limit > 0 && xem.spent + amounts["nem:xem"] > xem.limit)
+                        return callback(verdict("The " + window + " limit of " + xem.limit + " Micro XEM would be passed: " + (xem.spent + amounts["nem:xem"])));
+
+                    for (var slug in usage[window].mosaics) {
+                        var mosaic = usage[window].mosaics[slug];
+                        var quantity = amounts[slug] || 0;
+
+                        if (mosaic.limit > 0 && mosaic.spent + quantity > mosaic.limit)
+                            return callback(verdict("The " + window + " limit of " + mosaic.limit + " " + slug + " would be passed: " + (mosaic.spent + quantity)));
+                    }
+                }
+
+                return callback(verdict());
+            });
+        };
+
+        /**
+         * Read the amounts of XEM and mosaics of a transaction, indexed
+         * by mosaic slug.
+         *
+         * @param  [TransactionMetaDataPair]{@link http://bob.nem.ninja/docs/#transactionMetaDataPair} transactionMetaDataPair
+         * @return {Object}
+         */
+        this.getTransactionAmounts = function(transactionMetaDataPair) {
+            var self = this;
+            var amounts = { "nem:xem": self.blockchain_.getTransactionAmount(transactionMetaDataPair) };
+            var mosaics = self.blockchain_.getTransactionMosaics(transactionMetaDataPair);
+
+            for (var i = 0; i < mosaics.length; i++)
+                amounts[mosaics[i]] = self.blockchain_.getTransactionAmount(transactionMetaDataPair, mosaics[i]);
+
+            return amounts;
+        };
+
+        var self = this; {
+            // nothing more done on instanciation
+        }
+    };
+
+    module.exports.SpendingLimits = SpendingLimits;
+}());
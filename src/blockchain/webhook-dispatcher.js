@@ -0,0 +1,390 @@
+/**
+ * Part of the evias/nem-nodejs-bot package.
+ *
+ * NOTICE OF LICENSE
+ *
+ * Licensed under MIT License.
+ *
+ * This source file is subject to the MIT License that is
+ * bundled with this package in the LICENSE file.
+ *
+ * @package    evias/nem-nodejs-bot
+ * @author     Grégory Saive <greg@evias.be> (https://github.com/evias)
+ * @license    MIT License
+ * @copyright  (c) 2017, Grégory Saive <greg@evias.be>
+ * @link       https://github.com/evias/nem-nodejs-bot
+ */
+
+(function() {
+
+    var http = require("http"),
+        https = require("https"),
+        url = require("url"),
+        crypto = require("crypto");
+
+    /**
+     * class WebhookDispatcher implements HTTP POST delivery of Payment
+     * Channel updates to the `notifyUrl` of NEMPaymentChannel entries.
+     *
+     * Deliveries are first saved to the NEMWebhookDelivery collection and
+     * then processed by a queue worker. Failed deliveries are retried with
+     * an exponential backoff until `bot.read.webhooks.maxAttempts` is reached.
+     *
+     * Every request body is signed with HMAC-SHA256 using the configured
+     * `bot.read.webhooks.secret`, the signature is sent in the
+     * `X-NEMBot-Signature` HTTP header such that your backend can verify
+     * that the update was sent by your NEMBot.
+     *
+     * @author  Grégory Saive <greg@evias.be> (https://github.com/evias)
+     */
+    var WebhookDispatcher = function(chainDataLayer) {
+
+        this.blockchain_ = chainDataLayer;
+        this.db_ = this.blockchain_.getDatabaseAdapter();
+
+        this.worker_ = null;
+        this.isProcessing_ = false;
+        this.logLabel = "WEBHOOK";
+
+        this.logger = function() {
+            return this.blockchain_.logger();
+        };
+
+        this.config = function() {
+            return this.blockchain_.conf_;
+        };
+
+        /**
+         * Read the webhooks configuration. The `secret` can be overwritten
+         * with the BOT_WEBHOOK_SECRET environment variable.
+         *
+         * @return {Object}
+         */
+        this.getOptions = function() {
+            var conf = this.config().bot.read.webhooks || {};
+
+            return {
+                "secret": process.env["BOT_WEBHOOK_SECRET"] || conf.secret || "",
+                "maxAttempts": parseInt(conf.maxAttempts) || 8,
+                "backoffDelay": parseInt(conf.backoffDelay) || 10 * 1000,
+                "timeout": parseInt(conf.timeout) || 10 * 1000,
+                "interval": parseInt(conf.interval) || 5 * 1000
+            };
+        };
+
+        /**
+         * Compute the HMAC-SHA256 signature of a request body.
+         *
+         * @param  {String} body
+         * @return {String}
+         */
+        this.sign = function(body) {
+            var hmac = crypto.createHmac("sha256", this.getOptions().secret);
+            hmac.update(body);
+
+            return "sha256=" + hmac.digest("hex");
+        };
+
+        /**
+         * Get the delay before the next delivery attempt. The delay
+         * doubles with each failed attempt (10s, 20s, 40s, ..).
+         *
+         * @param  {Integer} attempts   Number of failed attempts
+         * @return {Integer}            Delay in Milliseconds
+         */
+        this.getBackoffDelay = function(attempts) {
+            return this.getOptions().backoffDelay * Math.pow(2, Math.max(0, attempts - 1));
+        };
+
+        /**
+         * Check whether a webhook URL can be delivered to. Only absolute HTTP
+         * and HTTPS URLs with a hostname are accepted, `http.request` would
+         * otherwise send the signed payload to the bot's own host.
+         *
+         * @param  {String} notifyUrl
+         * @return {Boolean}
+         */
+        this.isValidUrl = function(notifyUrl) {
+            if (typeof notifyUrl != "string" || /\s/.test(notifyUrl))
+                return false;
+
+            var target = url.parse(notifyUrl);
+            return (target.protocol == "http:" || target.protocol == "https:") && !!target.hostname;
+        };
+
+        /**
+         * Queue a webhook delivery for the given payment channel. Nothing
+         * is queued in case the channel has no `notifyUrl`.
+         *
+         * The payload sent is the result of `paymentChannel.toDict()`.
+         *
+         * @param  {NEMPaymentChannel}  paymentChannel
+         * @param  {String}             eventName
+         * @param  {Function}           callback
+         * @return {Boolean}
+         */
+        this.enqueue = function(paymentChannel, eventName, callback = null) {
+            return this.enqueueEvent(paymentChannel.notifyUrl, eventName, paymentChannel.message, paymentChannel.toDict(), callback);
+        };
+
+        /**
+         * Queue a webhook delivery of any event payload. Nothing is queued
+         * in case no `url` is given or the `url` is not valid.
+         *
+         * @param  {String}     url
+         * @param  {String}     eventName
+         * @param  {String}     message     Reference of the event (e.g. invoice number or address)
+         * @param  {Object}     payload
+         * @param  {Function}   callback
+         * @return {Boolean}
+         */
+        this.enqueueEvent = function(url, eventName, message, payload, callback = null) {
+            var self = this;
+
+            if (!url || !url.length)
+                return false;
+
+            if (!self.isValidUrl(url)) {
+                self.logger().warn("[BOT] [" + self.logLabel + "] [ERROR]", __line, "Invalid webhook URL '" + url + "', '" + eventName + "' for '" + message + "' not queued.");
+                return false;
+            }
+
+            var delivery = new self.db_.NEMWebhookDelivery({
+                url: url,
+                event: eventName,
+                message: message,
+                payload: payload,
+                status: "pending",
+                attempts: 0,
+                nextAttemptAt: new Date().valueOf(),
+                createdAt: new Date().valueOf()
+            });
+
+            delivery.save(function(err, delivery) {
+                if (err) {
+                    self.logger().error("[BOT] [" + self.logLabel + "] [ERROR]", __line, "Error saving NEMWebhookDelivery: " + err);
+                    return callback ? callback(false) : false;
+                }
+
+                // don't wait for the worker to deliver
+                self.processQueue();
+
+                if (callback)
+                    return callback(delivery);
+            });
+
+            return true;
+        };
+
+        /**
+         * Process all due deliveries of the NEMWebhookDelivery queue.
+         *
+         * @return void
+         */
+        this.processQueue = function() {
+            var self = this;
+
+            if (self.isProcessing_)
+                return false;
+
+            self.isProcessing_ = true;
+
+            var query = {
+                status: "pending",
+                nextAttemptAt: { $lte: new Date().valueOf() }
+            };
+
+            self.db_.NEMWebhookDelivery.find(query, null, { limit: 25, sort: { nextAttemptAt: 1 } }, function(err, deliveries) {
+                if (err || !deliveries || !deliveries.length) {
+                    if (err)
+                        self.logger().error("[BOT] [" + self.logLabel + "] [ERROR]", __line, "Error reading NEMWebhookDelivery: " + err);
+
+                    self.isProcessing_ = false;
+                    return false;
+                }
+
+                var cntDone = 0;
+                for (var i = 0; i < deliveries.length; i++) {
+                    self.deliver(deliveries[i], function() {
+                        if (++cntDone === deliveries.length)
+                            self.isProcessing_ = false;
+                    });
+                }
+            });
+        };
+
+        /**
+         * Send the HTTP POST request for a given NEMWebhookDelivery and
+         * save the result of the attempt.
+         *
+         * @param  {NEMWebhookDelivery} delivery
+         * @param  {Function}           callback
+         * @return void
+         */
+        this.deliver = function(delivery, callback) {
+            var self = this;
+            var options = self.getOptions();
+            var body = JSON.stringify(delivery.payload);
+
+            if (!self.isValidUrl(delivery.url)) {
+                // queued by an older version, never retried.
+                delivery.attempts = options.maxAttempts - 1;
+                return self.saveAttempt(delivery, "Invalid webhook URL " + delivery.url, null, callback);
+            }
+
+            var target = url.parse(delivery.url);
+            var transport = target.protocol == "https:" ? https : http;
+            var isDone = false;
+
+            var done = function(err, statusCode) {
+                if (isDone) return false;
+                isDone = true;
+
+                self.saveAttempt(delivery, err, statusCode, callback);
+            };
+
+            try {
+                var request = transport.request({
+                    method: "POST",
+                    hostname: target.hostname,
+                    port: target.port,
+                    path: target.path,
+                    headers: {
+                        "Content-Type": "application/json",
+                        "Content-Length": Buffer.byteLength(body),
+                        "X-NEMBot-Event": delivery.event,
+                        "X-NEMBot-Delivery": delivery.id,
+                        "X-NEMBot-Signature": self.sign(body)
+                    }
+                });
+
+                request.setTimeout(options.timeout, function() {
+                    request.abort();
+                    done("Request timed out after " + options.timeout + "ms", null);
+                });
+
+                request.on("response", function(res) {
+                    // consume response data, we only care about the status code.
+                    res.resume();
+
+                    if (res.statusCode >= 200 && res.statusCode < 300)
+                        return done(null, res.statusCode);
+
+                    return done("HTTP Error " + res.statusCode, res.statusCode);
+                });
+
+                request.on("error", function(err) {
+                    done(err.toString(), null);
+                });
+
+                request.end(body);
+            } catch (e) {
+                done(e.toString(), null);
+            }
+        };
+
+        /**
+         * Save the result of a delivery attempt. Failed deliveries are
+         * re-scheduled until the maximum count of attempts is reached.
+         *
+         * @param  {NEMWebhookDelivery} delivery
+         * @param  {String|null}        err
+         * @param  {Integer|null}       statusCode
+         * @param  {Function}           callback
+         * @return void
+         */
+        this.saveAttempt = function(delivery, err, statusCode, callback) {
+            var self = this;
+            var options = self.getOptions();
+
+            delivery.attempts = delivery.attempts + 1;
+            delivery.lastStatusCode = statusCode;
+            delivery.lastError = err;
+            delivery.updatedAt = new Date().valueOf();
+
+            if (!err) {
+                delivery.status = "delivered";
+                delivery.deliveredAt = new Date().valueOf();
+
+                self.logger().info("[BOT] [" + self.logLabel + "]", __line, "Delivered '" + delivery.event + "' for '" + delivery.message + "' to " + delivery.url + ".");
+            } else if (delivery.attempts >= options.maxAttempts) {
+                delivery.status = "failed";
+
+                self.logger().error("[BOT] [" + self.logLabel + "] [ERROR]", __line, "Giving up delivery " + delivery.id + " to " + delivery.url + " after " + delivery.attempts + " attempts: " + err);
+            } else {
+                delivery.nextAttemptAt = new Date().valueOf() + self.getBackoffDelay(delivery.attempts);
+
+                self.logger().warn("[BOT] [" + self.logLabel + "] [RETRY]", __line, "Delivery " + delivery.id + " to " + delivery.url + " failed (" + err + "), next attempt at " + new Date(delivery.nextAttemptAt).toISOString() + ".");
+            }
+
+            delivery.save(function(err) {
+                if (err)
+                    self.logger().error("[BOT] [" + self.logLabel + "] [ERROR]", __line, "Error saving NEMWebhookDelivery: " + err);
+
+                if (callback)
+                    return callback(delivery);
+            });
+        };
+
+        /**
+         * Re-schedule a delivery for immediate processing. This can be
+         * used to retry `failed` deliveries.
+         *
+         * @param  {NEMWebhookDelivery} delivery
+         * @param  {Function}           callback
+         * @return void
+         */
+        this.retry = function(delivery, callback) {
+            var self = this;
+
+            delivery.status = "pending";
+            delivery.nextAttemptAt = new Date().valueOf();
+            delivery.updatedAt = new Date().valueOf();
+            delivery.save(function(err, delivery) {
+                if (!err)
+                    self.processQueue();
+
+                return callback(err, delivery);
+            });
+        };
+
+        /**
+         * Start the queue worker. Pending deliveries saved before a
+         * restart of the bot will be processed on the first run.
+         *
+         * @return {WebhookDispatcher}
+         */
+        this.start = function() {
+            var self = this;
+
+            if (self.worker_ !== null)
+                clearInterval(self.worker_);
+
+            self.worker_ = setInterval(function() {
+                self.processQueue();
+            }, self.getOptions().interval);
+
+            self.processQueue();
+            return self;
+        };
+
+        /**
+         * Stop the queue worker.
+         *
+         * @return {WebhookDispatcher}
+         */
+        this.stop = function() {
+            if (this.worker_ !== null)
+                clearInterval(this.worker_);
+
+            this.worker_ = null;
+            return this;
+        };
+
+        var self = this; {
+            // nothing more done on instanciation
+        }
+    };
+
+    module.exports.WebhookDispatcher = WebhookDispatcher;
+}());
@@ -20,6 +20,35 @@
     var mongoose = require('mongoose');
     var increment = require("mongoose-increment");
 
+    /**
+     * Payment Channel statuses. Open payment channels wait for
+     * payments and expire at `expiresAt`. Closed channels can still
+     * receive late payments (`paid_late`).
+     *
+     * Paid channels become `confirmed_final` once their last transaction
+     * has `bot.read.requiredConfirmations` confirmations.
+     *
+     * @var {Object}
+     */
+    var NEMPaymentChannelStatuses = {
+        "open": ["created", "unconfirmed", "paid_partly"],
+        "paid": ["paid", "overpaid", "paid_late", "confirmed_final"],
+        "closed": ["expired", "cancelled"]
+    };
+
+    /**
+     * Results of NEMPaymentChannel.matchTransactionToChannel. Transactions
+     * which are not transfers are IGNORED.
+     *
+     * @var {Object}
+     */
+    var MatchResults = {
+        "MATCHED": "matched",
+        "UNMATCHED": "unmatched",
+        "AMBIGUOUS": "ambiguous",
+        "IGNORED": "ignored"
+    };
+
     /**
      * class NEMBotDB connects to a mongoDB database
      * either locally or using MONGODB_URI|MONGOLAB_URI env.
@@ -64,16 +93,33 @@
             socketIds: [String],
             transactionHashes: Object,
             unconfirmedHashes: Object,
+            flaggedHashes: Object,
+            transactionHeights: Object,
+            transactionAmounts: Object,
+            revertedHashes: Object,
             notifyUrl: String,
             amount: { type: Number, min: 0 },
             amountPaid: { type: Number, min: 0 },
             amountUnconfirmed: { type: Number, min: 0 },
-            message: String,
+            amountOverpaid: { type: Number, min: 0, default: 0 },
+            amountRefunded: { type: Number, min: 0, default: 0 },
+            refundStatus: String,
+            refundTransactionHash: String,
+            refundError: String,
+            refundedAt: { type: Number, min: 0 },
+            message: { type: String, index: true, unique: true, sparse: true },
             status: String,
             hasPayment: { type: Boolean, default: false },
             isPaid: { type: Boolean, default: false },
             paidAt: { type: Number, min: 0 },
+            isFinal: { type: Boolean, default: false },
+            finalizedAt: { type: Number, min: 0 },
+            expiresAt: { type: Number, min: 0 },
+            expiredAt: { type: Number, min: 0 },
+            cancelledAt: { type: Number, min: 0 },
+            statusHistory: [Object],
             mosaicSlug: { type: String, default: "nem:xem" },
+            mosaicDivisibility: { type: Number, min: 0, default: 6 },
             createdAt: { type: Number, min: 0 },
             updatedAt: { type: Number, min: 0 }
         });
@@ -86,11 +132,40 @@
                     amount: this.amount,
                     amountPaid: this.amountPaid,
                     amountUnconfirmed: this.amountUnconfirmed,
+                    amountOverpaid: this.amountOverpaid,
+                    amountRefunded: this.amountRefunded,
+                    refundStatus: this.refundStatus,
+                    refundTransactionHash: this.refundTransactionHash,
+                    mosaic: this.mosaicSlug,
+                    divisibility: this.mosaicDivisibility,
                     message: this.message,
                     status: this.status,
-                    isPaid: this.isPaid
+                    isPaid: this.isPaid,
+                    isFinal: this.isFinal,
+                    expiresAt: this.expiresAt
                 };
             },
+            isOpen: function() {
+                return NEMPaymentChannelStatuses.open.indexOf(this.status) !== -1;
+            },
+            getRefundableAmount: function() {
+                return Math.max(0, (this.amountOverpaid || 0) - (this.amountRefunded || 0));
+            },
+            isClosed: function() {
+                return this.status == "expired" || this.status == "cancelled";
+            },
+            setStatus: function(status) {
+                if (this.status === status)
+                    return this;
+
+                // record every status transition of the payment channel
+                var history = this.statusHistory ? this.statusHistory : [];
+                history.push({ status: status, previousStatus: this.status, createdAt: new Date().valueOf() });
+
+                this.statusHistory = history;
+                this.status = status;
+                return this;
+            },
             getPayer: function() {
                 return this.payerXEM.replace(/-/g, "");
             },
@@ -146,6 +221,103 @@
 
                 return this.transactionHashes;
             },
+            addFlagged: function(transactionMetaDataPair, reason) {
+                var trxHash = blockchain_.getTransactionHash(transactionMetaDataPair);
+
+                if (!this.flaggedHashes)
+                    this.flaggedHashes = {};
+
+                if (!this.flaggedHashes.hasOwnProperty(trxHash)) {
+                    // this transaction is not recorded
+                    this.flaggedHashes[trxHash] = { reason: reason, createdAt: new Date().valueOf() };
+                    this.markModified("flaggedHashes");
+                }
+
+                return this.flaggedHashes;
+            },
+            addTransactionHeight: function(transactionMetaDataPair) {
+                var trxHash = blockchain_.getTransactionHash(transactionMetaDataPair);
+                var height = transactionMetaDataPair.meta.height;
+
+                if (!this.transactionHeights)
+                    this.transactionHeights = {};
+
+                if (height && height > 0) {
+                    this.transactionHeights[trxHash] = height;
+                    this.markModified("transactionHeights");
+                }
+
+                return this.transactionHeights;
+            },
+            addTransactionAmount: function(transactionMetaDataPair, amount) {
+                var trxHash = blockchain_.getTransactionHash(transactionMetaDataPair);
+
+                if (!this.transactionAmounts)
+                    this.transactionAmounts = {};
+
+                this.transactionAmounts[trxHash] = amount;
+                this.markModified("transactionAmounts");
+                return this.transactionAmounts;
+            },
+            revertTransaction: function(trxHash) {
+                if (!this.transactionHashes || !this.transactionHashes.hasOwnProperty(trxHash))
+                    return false;
+
+                // channels acknowledged before amounts were recorded by transaction
+                // can't be reverted automatically.
+                if (!this.transactionAmounts || !this.transactionAmounts.hasOwnProperty(trxHash))
+                    return false;
+
+                var amount = this.transactionAmounts[trxHash];
+                var wasClosed = this.expiredAt || this.cancelledAt;
+
+                delete this.transactionHashes[trxHash];
+                delete this.transactionAmounts[trxHash];
+                if (this.transactionHeights)
+                    delete this.transactionHeights[trxHash];
+
+                if (!this.revertedHashes)
+                    this.revertedHashes = {};
+
+                this.revertedHashes[trxHash] = { amount: amount, createdAt: new Date().valueOf() };
+                this.markModified("transactionHashes");
+                this.markModified("transactionAmounts");
+                this.markModified("transactionHeights");
+                this.markModified("revertedHashes");
+
+                this.amountPaid = Math.max(0, this.amountPaid - amount);
+                this.amountOverpaid = Math.max(0, this.amountPaid - this.amount);
+                this.hasPayment = Object.keys(this.transactionHashes).length > 0;
+                this.isFinal = false;
+                this.finalizedAt = null;
+
+                if (this.amount <= this.amountPaid) {
+                    // still paid
+                    if (this.status != "paid_late")
+                        this.setStatus(this.amountOverpaid > 0 ? "overpaid" : "paid");
+
+                    return amount;
+                }
+
+                this.isPaid = false;
+                this.paidAt = null;
+
+                if (wasClosed)
+                    this.setStatus(this.cancelledAt ? "cancelled" : "expired");
+                else
+                    this.setStatus(this.amountPaid > 0 ? "paid_partly" : "created");
+
+                return amount;
+            },
+            getLastTransactionHeight: function() {
+                var heights = this.transactionHeights || {};
+                var maxHeight = 0;
+
+                for (var trxHash in heights)
+                    maxHeight = Math.max(maxHeight, heights[trxHash]);
+
+                return maxHeight;
+            },
             addSocket: function(socket) {
                 if (!this.socketIds || !this.socketIds.length)
                     this.socketIds = [socket.id];
@@ -160,71 +332,152 @@
         };
 
         this.NEMPaymentChannel_.statics = {
+            OPEN_STATUSES: NEMPaymentChannelStatuses.open,
+            PAID_STATUSES: NEMPaymentChannelStatuses.paid,
+            MATCH_RESULTS: MatchResults,
+
+            /**
+             * Find the messages used by more than one payment channel. Those
+             * must be cleaned up before the unique `message` index can be built.
+             *
+             * @param  {Function}   callback    Called with (err, messages)
+             * @return void
+             */
+            findDuplicateMessages: function(callback) {
+                this.aggregate([
+                    { $match: { message: { $exists: true, $ne: null } } },
+                    { $group: { _id: "$message", count: { $sum: 1 } } },
+                    { $match: { count: { $gt: 1 } } }
+                ], function(err, groups) {
+                    if (err) return callback(err);
+
+                    return callback(null, groups.map(function(group) { return group._id; }));
+                });
+            },
+
+            /**
+             * Match a transaction to a payment channel. The matching strategies
+             * are tried in the order configured in `bot.read.matchStrategies`:
+             *
+             * - "message" : channel with the transaction message (any status), skipped for
+             *               encrypted messages sent to other recipients than the read wallet
+             * - "sender"  : open channel with the transaction sender and recipient
+             * - "amount"  : open channel with the transaction recipient for which the
+             *               remaining amount equals the transaction amount
+             *
+             * The `callback` is called exactly once with a result object containing
+             * the `status` of the match (see MatchResults), the matched `channel`,
+             * the `strategy` that was used and the matching `candidates`.
+             *
+             * @param  {service}    chainDataLayer
+             * @param  [TransactionMetaDataPair]{@link http://bob.nem.ninja/docs/#transactionMetaDataPair} transactionMetaDataPair
+             * @param  {Function}   callback
+             * @return void
+             */
             matchTransactionToChannel: function(chainDataLayer, transactionMetaDataPair, callback) {
-                if (!transactionMetaDataPair)
-                    return callback(false);
+                var model = mongoose.model("NEMPaymentChannel");
+                var result = {
+                    status: MatchResults.IGNORED,
+                    channel: null,
+                    strategy: null,
+                    candidates: [],
+                    transaction: transactionMetaDataPair
+                };
 
-                var meta = transactionMetaDataPair.meta;
-                var transaction = transactionMetaDataPair.transaction;
+                if (!transactionMetaDataPair || !transactionMetaDataPair.meta || !transactionMetaDataPair.transaction)
+                    return callback(result);
 
-                if (!meta || !transaction)
-                    return callback(false);
+                var transaction = transactionMetaDataPair.transaction;
+                var trxTypes = chainDataLayer.nem().model.transactionTypes;
+                var isMultisig = transaction.type == trxTypes.multisigTransaction;
+                var realTransaction = isMultisig ? transaction.otherTrans : transaction;
 
-                if (transaction.type != chainDataLayer.nem().model.transactionTypes.transfer &&
-                    transaction.type != chainDataLayer.nem().model.transactionTypes.multisigTransaction) {
+                if (!realTransaction || realTransaction.type != trxTypes.transfer) {
                     // we are interested only in transfer transactions
-                    // and multisig transactions.
-                    return callback(false);
+                    // and multisig transactions containing transfers.
+                    return callback(result);
                 }
 
-                var recipient = transaction.recipient;
+                var recipient = chainDataLayer.getTransactionRecipient(transactionMetaDataPair);
                 var sender = chainDataLayer.getTransactionSender(transactionMetaDataPair);
-                var trxHash = chainDataLayer.getTransactionHash(transactionMetaDataPair);
+                var plain = chainDataLayer.getTransactionMessage(transactionMetaDataPair).trim();
+
+                var strategies = {
+                    "message": function(next) {
+                        var isEncrypted = realTransaction.message && realTransaction.message.type === 2;
+                        if (isEncrypted && recipient != chainDataLayer.getBotReadWallet()) {
+                            // only messages sent to the read wallet can be decrypted (bot.read.privateKey)
+                            dbLog("NEMPaymentChannel", __line, "Message strategy skipped for encrypted message to " + recipient + ".");
+                            return next([]);
+                        }
 
-                // first try to load the channel by transaction hash
-                var model = mongoose.model("NEMPaymentChannel");
-                if (transaction.message && transaction.message.type === 1) {
-                    // channel not found by Transaction Hash
-                    // try to load the channel by transaction message
-
-                    // message available, build it from payload and try loading a channel.
-                    var plain = chainDataLayer.getTransactionMessage(transactionMetaDataPair);
-
-                    // DEBUG dbLog("[NEM] [DEBUG]", __line, "Found transaction with message '" + plain + "': " + trxHash);
-
-                    model.findOne({ message: plain.toUpperCase(), recipientXEM: recipient }, function(err, channel) {
-                        if (!err && channel) {
-                            // CHANNEL FOUND by Unencrypted Message
-                            return callback(channel, transactionMetaDataPair);
-                        } else if (!err && !chainDataLayer.conf_.bot.read.useTransactionMessageAlways) {
-                            // could not identify channel by Message!
-                            // try to load the channel by sender and recipient
-                            model.findOne({ payerXEM: sender, recipientXEM: recipient }, function(err, channel) {
-                                if (!err && channel) {
-                                    // CHANNEL FOUND by Sender + Recipient
-                                    return callback(channel, transactionMetaDataPair);
-                                }
+                        if (!plain.length)
+                            return next([]);
+
+                        // invoice numbers are usually upper-case
+                        var messages = plain.toUpperCase() != plain ? [plain, plain.toUpperCase()] : [plain];
+                        model.find({ message: { $in: messages }, recipientXEM: recipient }, function(err, channels) {
+                            return next(err ? null : channels, err);
+                        });
+                    },
+                    "sender": function(next) {
+                        var query = { payerXEM: sender, recipientXEM: recipient, status: { $in: NEMPaymentChannelStatuses.open } };
+                        model.find(query, function(err, channels) {
+                            return next(err ? null : channels, err);
+                        });
+                    },
+                    "amount": function(next) {
+                        var query = { recipientXEM: recipient, status: { $in: NEMPaymentChannelStatuses.open } };
+                        model.find(query, function(err, channels) {
+                            if (err) return next(null, err);
+
+                            var candidates = channels.filter(function(channel) {
+                                var amount = chainDataLayer.getTransactionAmount(transactionMetaDataPair, channel.mosaicSlug);
+                                return amount > 0 && amount === channel.amount - channel.amountPaid;
                             });
-                        } else if (err) {
-                            dbError(err);
+
+                            return next(candidates);
+                        });
+                    }
+                };
+
+                var chain = chainDataLayer.getPaymentMatchStrategies().filter(function(name) {
+                    return strategies.hasOwnProperty(name);
+                });
+
+                // try strategies one after the other, the first strategy returning
+                // candidates decides about the result of the match.
+                var tryStrategy = function(index) {
+                    if (index >= chain.length) {
+                        result.status = MatchResults.UNMATCHED;
+                        return callback(result);
+                    }
+
+                    strategies[chain[index]](function(candidates, err) {
+                        if (err) {
+                            dbError("NEMPaymentChannel", __line, "Error matching transaction with strategy " + chain[index] + ": " + err);
+                            result.status = MatchResults.UNMATCHED;
+                            return callback(result);
                         }
-                    });
-                } else if (!chainDataLayer.conf_.bot.read.useTransactionMessageAlways) {
-                    // can't load by message, load by Sender + Recipient
-                    // try to load the channel by sender and recipient
-                    // @see bot.json : bot.read.useTransactionMessageAlways
-
-                    model.findOne({ payerXEM: sender, recipientXEM: recipient }, function(err, channel) {
-                        if (!err && channel) {
-                            // CHANNEL FOUND by Sender + Recipient
-                            return callback(channel, transactionMetaDataPair);
-                        } else if (err) {
-                            dbError(err);
+
+                        if (!candidates.length)
+                            return tryStrategy(index + 1);
+
+                        result.strategy = chain[index];
+                        result.candidates = candidates;
+
+                        if (candidates.length > 1) {
+                            result.status = MatchResults.AMBIGUOUS;
+                            return callback(result);
                         }
+
+                        result.status = MatchResults.MATCHED;
+                        result.channel = candidates[0];
+                        return callback(result);
                     });
-                }
+                };
 
-                return callback(false);
+                return tryStrategy(0);
             },
 
             acknowledgeTransaction: function(channel, transactionMetaDataPair, status, callback) {
@@ -246,65 +499,321 @@
                     return callback(false);
                 }
 
-                //XXX allow payments with different Mosaics than nem:xem
-                // according to the `channel`.`mosaicSlug` field we might need to check
-                // mosaics contents instead of `transaction`.`amount`.
-                // NEMPaymentChannels should not change the amounts stored, the divisibility
-                // of the Mosaic used for payments will be read from the blockchain when it 
-                // is needed.
-                //XXX
-
-                // now "acknowledging" transaction: this means we will save the transaction amount
-                // in the field corresponding to the given status. the unconfirmed amount cannot be trusted.
-                // Firstly, because it represents an unconfirmed amount on the blockchain.
-                // Secondly, because the websocket sometimes doesn't catch unconfirmed transactions and the
-                // fallback works only for confirmed transactions!
-
-                if ("confirmed" == status) {
-                    channel.amountPaid += transaction.amount;
-
-                    if (channel.unconfirmedHashes && channel.unconfirmedHashes.hasOwnProperty(trxHash)) {
-                        // only delete from "unconfirmed" if it was saved to it.
-                        delete channel.unconfirmedHashes[trxHash];
-                        channel.amountUnconfirmed -= transaction.amount;
+                // Payment Channels settle in the channel's configured `mosaicSlug`. Amounts
+                // are always stored in the smallest unit of the Mosaic, the divisibility is
+                // read from the Mosaic Definition (and cached) to be forwarded to the Backend.
+                blockchain_.getMosaicDivisibility(channel.mosaicSlug, function(err, divisibility) {
+                    if (err) {
+                        dbError("NEMPaymentChannel", __line, "Could not read divisibility of " + channel.mosaicSlug + ": " + err);
+                        return callback(false);
                     }
 
-                    channel.status = "paid_partly";
-                    if (channel.amount <= channel.amountPaid) {
-                        // channel is now PAID - can be closed.
-                        channel.status = "paid";
-                        channel.isPaid = true;
-                        channel.paidAt = new Date().valueOf();
+                    channel.mosaicDivisibility = divisibility;
+
+                    var amount = blockchain_.getTransactionAmount(transactionMetaDataPair, channel.mosaicSlug);
+                    if (!amount || amount <= 0) {
+                        // transaction does not contain the channel's mosaic, flag it but don't
+                        // modify the channel amounts.
+                        var trxMosaics = blockchain_.getTransactionMosaics(transactionMetaDataPair);
+
+                        dbLog("NEMPaymentChannel", __line, "Flagged transaction " + trxHash + " for '" + channel.message + "': expected " +
+                            channel.mosaicSlug + " but got [" + trxMosaics.join(", ") + "].");
+
+                        channel.flaggedHashes = channel.addFlagged(transactionMetaDataPair, "wrong_mosaic");
+                        channel.updatedAt = new Date().valueOf();
+                        return channel.save(function(err, channel) {
+                            return callback(false);
+                        });
                     }
 
-                    channel.transactionHashes = channel.addTransaction(transactionMetaDataPair);
-                    channel.hasPayment = true;
-                } else if ("unconfirmed" == status) {
-                    channel.amountUnconfirmed += transaction.amount;
-                    channel.status = "unconfirmed";
+                    // now "acknowledging" transaction: this means we will save the transaction amount
+                    // in the field corresponding to the given status. the unconfirmed amount cannot be trusted.
+                    // Firstly, because it represents an unconfirmed amount on the blockchain.
+                    // Secondly, because the websocket sometimes doesn't catch unconfirmed transactions and the
+                    // fallback works only for confirmed transactions!
 
-                    channel.unconfirmedHashes = channel.addUnconfirmed(transactionMetaDataPair);
-                }
+                    // payments for expired or cancelled channels are late payments, the
+                    // channel status is only changed to `paid_late` when fully paid.
+                    var isLate = channel.isClosed() || channel.status == "paid_late" || !!(channel.expiredAt || channel.cancelledAt);
 
-                // and upon save, emit payment status update event to the Backend.
-                channel.updatedAt = new Date().valueOf();
-                channel.save(function(err, channel) {
-                    return callback(channel);
+                    if ("confirmed" == status) {
+                        channel.amountPaid += amount;
+
+                        if (channel.unconfirmedHashes && channel.unconfirmedHashes.hasOwnProperty(trxHash)) {
+                            // only delete from "unconfirmed" if it was saved to it.
+                            delete channel.unconfirmedHashes[trxHash];
+                            channel.amountUnconfirmed -= amount;
+                        }
+
+                        if (!isLate && !channel.isPaid)
+                            channel.setStatus("paid_partly");
+
+                        if (channel.amount <= channel.amountPaid) {
+                            // channel is now PAID - can be closed.
+                            var isOverpaid = channel.amountPaid > channel.amount;
+                            var paidStatus = isLate ? "paid_late" : isOverpaid ? "overpaid" : "paid";
+
+                            if (channel.status !== paidStatus) {
+                                // confirmations restart with this transaction
+                                channel.isFinal = false;
+                                channel.finalizedAt = null;
+                            }
+
+                            channel.setStatus(paidStatus);
+                            channel.amountOverpaid = channel.amountPaid - channel.amount;
+                            channel.isPaid = true;
+                            channel.paidAt = channel.paidAt ? channel.paidAt : new Date().valueOf();
+                        }
+
+                        if (!channel.payerXEM || !channel.payerXEM.length)
+                            // needed for refunds, channels opened without `sender`.
+                            channel.payerXEM = blockchain_.getTransactionSender(transactionMetaDataPair);
+
+                        channel.transactionHashes = channel.addTransaction(transactionMetaDataPair);
+                        channel.transactionHeights = channel.addTransactionHeight(transactionMetaDataPair);
+                        channel.transactionAmounts = channel.addTransactionAmount(transactionMetaDataPair, amount);
+                        channel.hasPayment = true;
+                    } else if ("unconfirmed" == status) {
+                        channel.amountUnconfirmed += amount;
+
+                        if (!isLate && !channel.isPaid)
+                            channel.setStatus("unconfirmed");
+
+                        channel.unconfirmedHashes = channel.addUnconfirmed(transactionMetaDataPair);
+                    }
+
+                    // and upon save, emit payment status update event to the Backend.
+                    channel.updatedAt = new Date().valueOf();
+                    channel.save(function(err, channel) {
+                        return callback(channel);
+                    });
                 });
             }
         };
 
         this.NEMSignedTransaction_ = new this.dbms_.Schema({
-            multisigXEM: String,
+            multisigXEM: { type: String, index: true },
             cosignerXEM: String,
             transactionHash: String,
             nemNodeData: Object,
             transactionData: Object,
             amountXEM: { type: Number, min: 0 },
+            mosaics: [{ slug: String, quantity: { type: Number, min: 0 } }],
+            recipientXEM: String,
+            message: String,
+            innerType: String,
+            status: { type: String, default: "announced" },
+            signatureData: String,
+            announceAttempts: [Object],
+            lastError: String,
+            deadline: { type: Number, min: 0 },
+            announcedAt: { type: Number, min: 0 },
+            confirmedAt: { type: Number, min: 0 },
+            blockHeight: { type: Number, min: 0 },
+            createdAt: { type: Number, min: 0, index: true },
+            updatedAt: { type: Number, min: 0 }
+        });
+
+        this.NEMSignedTransaction_.methods = {
+            toDict: function() {
+                var trxData = this.transactionData;
+
+                // records saved before decoding was added are decoded on the fly
+                var recipient = this.recipientXEM || (trxData ? blockchain_.getTransactionRecipient(trxData) : null);
+                var message = this.message !== undefined ? this.message : (trxData ? blockchain_.getTransactionMessage(trxData) : "");
+                var mosaics = this.mosaics && this.mosaics.length ? this.mosaics.map(function(mosaic) {
+                    return { slug: mosaic.slug, quantity: mosaic.quantity };
+                }) : [{ slug: "nem:xem", quantity: this.amountXEM }];
+
+                return {
+                    hash: this.transactionHash,
+                    multisig: this.multisigXEM,
+                    cosigner: this.cosignerXEM,
+                    type: this.innerType,
+                    recipient: recipient,
+                    amount: this.amountXEM,
+                    mosaics: mosaics,
+                    message: message,
+                    status: this.status,
+                    attempts: this.announceAttempts ? this.announceAttempts.length : 0,
+                    lastError: this.lastError,
+                    announcedAt: this.announcedAt,
+                    confirmedAt: this.confirmedAt,
+                    blockHeight: this.blockHeight,
+                    createdAt: this.createdAt
+                };
+            }
+        };
+
+        this.NEMSignedTransaction_.statics = {
+            /**
+             * Save the decoded `recipientXEM`, `message` and `mosaics` of records
+             * saved before those fields were added, such that they can be
+             * filtered by recipient. This runs once at startup, records are
+             * only updated when they miss the `recipientXEM` field.
+             *
+             * @param  {Function}   callback    Called with (err, count of updated records)
+             * @return void
+             */
+            backfillDecodedFields: function(callback = null) {
+                var query = { recipientXEM: { $exists: false }, transactionData: { $exists: true } };
+
+                this.find(query, function(err, transactions) {
+                    if (err || !transactions.length)
+                        return callback ? callback(err, 0) : false;
+
+                    var cntDone = 0;
+                    var failure = null;
+                    transactions.forEach(function(transaction) {
+                        var trxData = transaction.transactionData;
+                        var slugs = blockchain_.getTransactionMosaics(trxData);
+
+                        transaction.recipientXEM = blockchain_.getTransactionRecipient(trxData);
+                        transaction.message = blockchain_.getTransactionMessage(trxData);
+                        transaction.mosaics = [{ slug: "nem:xem", quantity: blockchain_.getTransactionAmount(trxData) }].concat(slugs.map(function(slug) {
+                            return { slug: slug, quantity: blockchain_.getTransactionAmount(trxData, slug) };
+                        }));
+
+                        transaction.save(function(err) {
+                            if (err) failure = err;
+
+                            if (++cntDone === transactions.length && callback)
+                                return callback(failure, cntDone);
+                        });
+                    });
+                });
+            }
+        };
+
+        this.NEMRejectedTransaction_ = new this.dbms_.Schema({
+            transactionHash: String,
+            multisigXEM: String,
+            initiatorPubKey: String,
+            code: String,
+            reason: String,
+            transactionData: Object,
+            createdAt: { type: Number, min: 0 }
+        });
+
+        this.NEMMultisigSnapshot_ = new this.dbms_.Schema({
+            multisigXEM: { type: String, index: true },
+            cosignatories: [String],
+            minCosignatories: { type: Number, min: 0 },
+            balance: { type: Number, min: 0 },
+            balanceBaseline: { type: Number, min: 0 },
+            alerts: [String],
+            createdAt: { type: Number, min: 0 }
+        });
+
+        this.NEMMultisigSnapshot_.methods = {
+            toDict: function() {
+                return {
+                    multisig: this.multisigXEM,
+                    cosignatories: this.cosignatories,
+                    minCosignatories: this.minCosignatories,
+                    balance: this.balance,
+                    balanceBaseline: this.balanceBaseline,
+                    alerts: this.alerts,
+                    createdAt: this.createdAt
+                };
+            }
+        };
+
+        this.NEMAuditEvent_ = new this.dbms_.Schema({
+            event: String,
+            multisigXEM: String,
+            transactionHash: String,
+            data: Object,
+            createdAt: { type: Number, min: 0 }
+        });
+
+        this.NEMAuditEvent_.methods = {
+            toDict: function() {
+                return {
+                    event: this.event,
+                    multisig: this.multisigXEM,
+                    hash: this.transactionHash,
+                    data: this.data,
+                    createdAt: this.createdAt
+                };
+            }
+        };
+
+        this.NEMPendingCosignature_ = new this.dbms_.Schema({
+            transactionHash: String,
+            multisigXEM: String,
+            initiatorPubKey: String,
+            amountXEM: { type: Number, min: 0 },
+            code: String,
+            reason: String,
+            transactionData: Object,
+            status: { type: String, default: "pending" },
+            decidedBy: String,
+            decisionReason: String,
+            decidedAt: { type: Number, min: 0 },
+            deadline: { type: Number, min: 0 },
+            createdAt: { type: Number, min: 0 },
+            updatedAt: { type: Number, min: 0 }
+        });
+
+        this.NEMPendingCosignature_.methods = {
+            toDict: function() {
+                return {
+                    hash: this.transactionHash,
+                    multisig: this.multisigXEM,
+                    initiator: this.initiatorPubKey,
+                    amount: this.amountXEM,
+                    code: this.code,
+                    reason: this.reason,
+                    status: this.status,
+                    decidedBy: this.decidedBy,
+                    decisionReason: this.decisionReason,
+                    decidedAt: this.decidedAt,
+                    deadline: this.deadline,
+                    createdAt: this.createdAt
+                };
+            },
+            isExpired: function() {
+                return this.deadline > 0 && this.deadline <= new Date().valueOf();
+            }
+        };
+
+        this.NEMUnmatchedPayment_ = new this.dbms_.Schema({
+            transactionHash: String,
+            senderXEM: String,
+            recipientXEM: String,
+            amount: { type: Number, min: 0 },
+            mosaics: [String],
+            message: String,
+            reason: String,
+            candidates: [String],
+            transactionData: Object,
+            status: { type: String, default: "open" },
+            assignedTo: String,
+            assignedAt: { type: Number, min: 0 },
             createdAt: { type: Number, min: 0 },
             updatedAt: { type: Number, min: 0 }
         });
 
+        this.NEMUnmatchedPayment_.methods = {
+            toDict: function() {
+                return {
+                    hash: this.transactionHash,
+                    sender: this.senderXEM,
+                    recipient: this.recipientXEM,
+                    amount: this.amount,
+                    mosaics: this.mosaics,
+                    message: this.message,
+                    reason: this.reason,
+                    candidates: this.candidates,
+                    status: this.status,
+                    assignedTo: this.assignedTo,
+                    assignedAt: this.assignedAt,
+                    createdAt: this.createdAt
+                };
+            }
+        };
+
         this.NEMTransactionPool_ = new this.dbms_.Schema({
             status: String,
             transactionHash: String,
@@ -312,23 +821,156 @@
             updatedAt: { type: Number, min: 0 }
         });
 
+        // a transaction is only processed once per status, the PaymentProcessor
+        // relies on this index when the websocket and the replay run concurrently.
+        this.NEMTransactionPool_.index({ status: 1, transactionHash: 1 }, { unique: true });
+
+        this.NEMTransactionPool_.statics = {
+            /**
+             * Remove the duplicate entries saved by older versions, one entry is
+             * kept per status and transaction hash.
+             *
+             * @param  {Function}   callback    Called with (err, count)
+             * @return void
+             */
+            removeDuplicates: function(callback) {
+                var model = this;
+                model.aggregate([
+                    { $group: { _id: { status: "$status", transactionHash: "$transactionHash" }, ids: { $push: "$_id" }, count: { $sum: 1 } } },
+                    { $match: { count: { $gt: 1 } } }
+                ], function(err, groups) {
+                    if (err) return callback(err);
+
+                    var ids = [];
+                    for (var i = 0; i < groups.length; i++)
+                        ids = ids.concat(groups[i].ids.slice(1));
+
+                    if (!ids.length)
+                        return callback(null, 0);
+
+                    model.remove({ _id: { $in: ids } }, function(err) {
+                        return callback(err, ids.length);
+                    });
+                });
+            }
+        };
+
+        this.NEMAccountCursor_ = new this.dbms_.Schema({
+            address: { type: String, index: true, unique: true },
+            lastTransactionId: { type: Number, min: 0 },
+            lastTransactionHash: String,
+            lastHeight: { type: Number, min: 0 },
+            createdAt: { type: Number, min: 0 },
+            updatedAt: { type: Number, min: 0 }
+        });
+
         this.NEMBlockHeight_ = new this.dbms_.Schema({
             blockHeight: { type: Number, min: 0 },
+            blockHash: String,
+            blockSignature: String,
+            prevBlockHash: String,
             moduleName: String,
             createdAt: { type: Number, min: 0 }
         });
 
+        this.NEMWebhookDelivery_ = new this.dbms_.Schema({
+            url: String,
+            event: String,
+            message: String,
+            payload: Object,
+            status: { type: String, default: "pending" },
+            attempts: { type: Number, min: 0, default: 0 },
+            lastStatusCode: Number,
+            lastError: String,
+            nextAttemptAt: { type: Number, min: 0 },
+            deliveredAt: { type: Number, min: 0 },
+            createdAt: { type: Number, min: 0 },
+            updatedAt: { type: Number, min: 0 }
+        });
+
+        this.NEMWebhookDelivery_.methods = {
+            toDict: function() {
+                return {
+                    id: this.id,
+                    url: this.url,
+                    event: this.event,
+                    message: this.message,
+                    payload: this.payload,
+                    status: this.status,
+                    attempts: this.attempts,
+                    lastStatusCode: this.lastStatusCode,
+                    lastError: this.lastError,
+                    nextAttemptAt: this.nextAttemptAt,
+                    deliveredAt: this.deliveredAt,
+                    createdAt: this.createdAt
+                };
+            }
+        };
+
         // bind our Models classes
         this.NEMPaymentChannel = this.dbms_.model("NEMPaymentChannel", this.NEMPaymentChannel_);
         this.NEMSignedTransaction = this.dbms_.model("NEMSignedTransaction_", this.NEMSignedTransaction_);
         this.NEMTransactionPool = this.dbms_.model("NEMTransactionPool", this.NEMTransactionPool_);
+        this.NEMRejectedTransaction = this.dbms_.model("NEMRejectedTransaction", this.NEMRejectedTransaction_);
+        this.NEMPendingCosignature = this.dbms_.model("NEMPendingCosignature", this.NEMPendingCosignature_);
+        this.NEMAuditEvent = this.dbms_.model("NEMAuditEvent", this.NEMAuditEvent_);
+        this.NEMMultisigSnapshot = this.dbms_.model("NEMMultisigSnapshot", this.NEMMultisigSnapshot_);
+        this.NEMUnmatchedPayment = this.dbms_.model("NEMUnmatchedPayment", this.NEMUnmatchedPayment_);
+        this.NEMAccountCursor = this.dbms_.model("NEMAccountCursor", this.NEMAccountCursor_);
         this.NEMBlockHeight = this.dbms_.model("NEMBlockHeight", this.NEMBlockHeight_);
+        this.NEMWebhookDelivery = this.dbms_.model("NEMWebhookDelivery", this.NEMWebhookDelivery_);
+
+        // mongoose only logs index build errors, without the unique `message` index
+        // duplicate payment channels could be opened. The bot is stopped instead.
+        var self = this;
+        this.NEMPaymentChannel.on("index", function(err) {
+            if (!err)
+                return false;
+
+            dbError("NEMPaymentChannel", __line, "Unique message index could not be built: " + err);
+            self.NEMPaymentChannel.findDuplicateMessages(function(err, messages) {
+                if (!err && messages.length)
+                    dbError("NEMPaymentChannel", __line, "Duplicate payment channel messages, see README (Upgrading: Unique Payment Channel Messages): " + messages.join(", "));
+
+                process.exit(1);
+            });
+        });
+
+        // transaction pool entries are only markers of processed transactions,
+        // duplicates are removed such that the unique index can be built.
+        this.NEMTransactionPool.once("index", function(err) {
+            if (!err)
+                return false;
+
+            self.NEMTransactionPool.removeDuplicates(function(err, count) {
+                if (err) {
+                    dbError("NEMTransactionPool", __line, "Error removing duplicate entries: " + err);
+                    return process.exit(1);
+                }
+
+                dbLog("NEMTransactionPool", __line, "Removed " + count + " duplicate entries.");
+                self.NEMTransactionPool.ensureIndexes(function(err) {
+                    if (!err)
+                        return false;
+
+                    dbError("NEMTransactionPool", __line, "Unique index could not be built: " + err);
+                    process.exit(1);
+                });
+            });
+        });
     };
 
     module.exports.NEMBotDB = NEMBotDB;
     module.exports.NEMPaymentChannel = NEMBotDB.NEMPaymentChannel;
     module.exports.NEMSignedTransaction = NEMBotDB.NEMSignedTransaction;
     module.exports.NEMTransactionPool = NEMBotDB.NEMTransactionPool;
+    module.exports.NEMRejectedTransaction = NEMBotDB.NEMRejectedTransaction;
+    module.exports.NEMPendingCosignature = NEMBotDB.NEMPendingCosignature;
+    module.exports.NEMAuditEvent = NEMBotDB.NEMAuditEvent;
+    module.exports.NEMMultisigSnapshot = NEMBotDB.NEMMultisigSnapshot;
+    module.exports.NEMUnmatchedPayment = NEMBotDB.NEMUnmatchedPayment;
+    module.exports.NEMAccountCursor = NEMBotDB.NEMAccountCursor;
     module.exports.NEMBlockHeight = NEMBotDB.NEMBlockHeight;
+    module.exports.NEMWebhookDelivery = NEMBotDB.NEMWebhookDelivery;
     module.exports.NEMBotDBMS = NEMBotDB.dbms_;
 }());
\ No newline at end of file
@@ -59,6 +59,7 @@
 
             // configure body-parser usage for POST API calls.
             app.use(bodyParser.urlencoded({ extended: true }));
+            app.use(bodyParser.json());
 
             if (config.bot.protectedAPI === true) {
                 // add Basic HTTP auth using nem-bot.htpasswd file
@@ -89,6 +90,11 @@
                 res.send(JSON.stringify({ version: botPackage.version }));
             });
 
+            app.get("/api/v1/nodes", function(req, res) {
+                res.setHeader('Content-Type', 'application/json');
+                res.send(JSON.stringify({ status: "ok", data: self.blockchain_.getNodePool().getStatus() }));
+            });
+
             if (self.blockchain_.isReadBot()) {
                 // This NEMBot has "read" mode enabled, which means it may be
                 // listening to payment channels configured from your backend.
@@ -107,20 +113,197 @@
                     });
                 });
 
-                app.get("/api/v1/transactions", function(req, res) {
+                app.post("/api/v1/channels", function(req, res) {
+                    res.setHeader('Content-Type', 'application/json');
+
+                    var params = req.body || {};
+                    var error = self.validateChannelParams(params);
+                    if (error !== null)
+                        return res.status(400).send(JSON.stringify({ "status": "error", "message": error }));
+
+                    // the payment channel message is the unique invoice number
+                    self.db.NEMPaymentChannel.findOne({ message: params.message }, function(err, paymentChannel) {
+                        if (err) return res.status(500).send(JSON.stringify({ "status": "error", "message": err }));
+
+                        if (paymentChannel)
+                            return res.status(409).send(JSON.stringify({ "status": "error", "message": "A payment channel with message `" + params.message + "` already exists." }));
+
+                        self.createPaymentChannel(params, [], function(err, paymentChannel) {
+                            // concurrent requests for the same message, only one is saved (unique index)
+                            if (err && err.code === 11000)
+                                return res.status(409).send(JSON.stringify({ "status": "error", "message": "A payment channel with message `" + params.message + "` already exists." }));
+
+                            // string errors are validation errors (e.g. unknown mosaic)
+                            if (err) return res.status(typeof err == "string" ? 400 : 500).send(JSON.stringify({ "status": "error", "message": err }));
+
+                            self.blockchain_
+                                .getPaymentProcessor()
+                                .forwardPaymentUpdates(null, paymentChannel);
+
+                            return res.status(201).send(JSON.stringify({ "status": "ok", "data": paymentChannel.toDict() }));
+                        });
+                    });
+                });
+
+                app.get("/api/v1/channels/:message", function(req, res) {
                     res.setHeader('Content-Type', 'application/json');
 
-                    self.db.NEMSignedTransaction.find({}, function(err, signedTrxs) {
+                    self.db.NEMPaymentChannel.findOne({ message: req.params.message }, function(err, paymentChannel) {
+                        if (err) return res.status(500).send(JSON.stringify({ "status": "error", "message": err }));
+
+                        if (!paymentChannel)
+                            return res.status(404).send(JSON.stringify({ "status": "error", "message": "Payment channel not found." }));
+
+                        return res.send(JSON.stringify({ "status": "ok", "data": paymentChannel.toDict() }));
+                    });
+                });
+
+                app.get("/api/v1/channels/:message/qr", function(req, res) {
+                    res.setHeader('Content-Type', 'application/json');
+
+                    self.db.NEMPaymentChannel.findOne({ message: req.params.message }, function(err, paymentChannel) {
+                        if (err) return res.status(500).send(JSON.stringify({ "status": "error", "message": err }));
+
+                        if (!paymentChannel)
+                            return res.status(404).send(JSON.stringify({ "status": "error", "message": "Payment channel not found." }));
+
+                        return res.send(JSON.stringify({ "status": "ok", "data": paymentChannel.getQRData() }));
+                    });
+                });
+
+                app.post("/api/v1/channels/:message/refund", function(req, res) {
+                    res.setHeader('Content-Type', 'application/json');
+
+                    self.db.NEMPaymentChannel.findOne({ message: req.params.message }, function(err, paymentChannel) {
+                        if (err) return res.status(500).send(JSON.stringify({ "status": "error", "message": err }));
+
+                        if (!paymentChannel)
+                            return res.status(404).send(JSON.stringify({ "status": "error", "message": "Payment channel not found." }));
+
+                        // admin approved refund of the overpaid amount
+                        self.blockchain_.getPaymentProcessor().issueRefund(paymentChannel, function(err, paymentChannel) {
+                            if (err) return res.status(409).send(JSON.stringify({ "status": "error", "message": err }));
+
+                            return res.send(JSON.stringify({ "status": "ok", "data": paymentChannel.toDict() }));
+                        });
+                    });
+                });
+
+                app.delete("/api/v1/channels/:message", function(req, res) {
+                    res.setHeader('Content-Type', 'application/json');
+
+                    self.db.NEMPaymentChannel.findOne({ message: req.params.message }, function(err, paymentChannel) {
+                        if (err) return res.status(500).send(JSON.stringify({ "status": "error", "message": err }));
+
+                        if (!paymentChannel)
+                            return res.status(404).send(JSON.stringify({ "status": "error", "message": "Payment channel not found." }));
+
+                        if (!paymentChannel.isOpen())
+                            return res.status(409).send(JSON.stringify({ "status": "error", "message": "Payment channel with status `" + paymentChannel.status + "` cannot be cancelled." }));
+
+                        paymentChannel.setStatus("cancelled");
+                        paymentChannel.cancelledAt = new Date().valueOf();
+                        paymentChannel.updatedAt = new Date().valueOf();
+                        paymentChannel.save(function(err, paymentChannel) {
+                            if (err) return res.status(500).send(JSON.stringify({ "status": "error", "message": err }));
+
+                            self.blockchain_
+                                .getPaymentProcessor()
+                                .notifyChannelUpdate(paymentChannel, "cancelled");
+
+                            return res.send(JSON.stringify({ "status": "ok", "data": paymentChannel.toDict() }));
+                        });
+                    });
+                });
+
+                app.get("/api/v1/payments/unmatched", function(req, res) {
+                    res.setHeader('Content-Type', 'application/json');
+
+                    var query = { status: req.query.status ? req.query.status : "open" };
+
+                    self.db.NEMUnmatchedPayment.find(query, null, { sort: { createdAt: -1 } }, function(err, payments) {
+                        if (err) return res.status(500).send(JSON.stringify({ "status": "error", "message": err }));
+
+                        var responseData = {};
+                        responseData.status = "ok";
+                        responseData.data = payments.map(function(payment) { return payment.toDict(); });
+
+                        return res.send(JSON.stringify(responseData));
+                    });
+                });
+
+                app.post("/api/v1/payments/unmatched/:hash/assign", function(req, res) {
+                    res.setHeader('Content-Type', 'application/json');
+
+                    var message = req.body ? req.body.message : null;
+                    if (typeof message != "string" || !message.length)
+                        return res.status(400).send(JSON.stringify({ "status": "error", "message": "Mandatory field `message` is invalid." }));
+
+                    self.db.NEMUnmatchedPayment.findOne({ transactionHash: req.params.hash }, function(err, payment) {
+                        if (err) return res.status(500).send(JSON.stringify({ "status": "error", "message": err }));
+
+                        if (!payment)
+                            return res.status(404).send(JSON.stringify({ "status": "error", "message": "Unmatched payment not found." }));
+
+                        self.db.NEMPaymentChannel.findOne({ message: message }, function(err, paymentChannel) {
+                            if (err) return res.status(500).send(JSON.stringify({ "status": "error", "message": err }));
+
+                            if (!paymentChannel)
+                                return res.status(404).send(JSON.stringify({ "status": "error", "message": "Payment channel not found." }));
+
+                            self.blockchain_.getPaymentProcessor().assignUnmatchedPayment(payment, paymentChannel, function(err, paymentChannel, payment) {
+                                if (err) return res.status(409).send(JSON.stringify({ "status": "error", "message": err }));
+
+                                return res.send(JSON.stringify({ "status": "ok", "data": { "payment": payment.toDict(), "channel": paymentChannel.toDict() } }));
+                            });
+                        });
+                    });
+                });
+
+                app.get("/api/v1/webhooks", function(req, res) {
+                    res.setHeader('Content-Type', 'application/json');
+
+                    var query = {};
+                    if (req.query.status) query.status = req.query.status;
+                    if (req.query.message) query.message = req.query.message;
+
+                    self.db.NEMWebhookDelivery.find(query, null, { sort: { createdAt: -1 } }, function(err, deliveries) {
                         if (err) return res.send(JSON.stringify({ "status": "error", "message": err }));
 
                         var responseData = {};
                         responseData.status = "ok";
-                        responseData.data = signedTrxs;
+                        responseData.data = deliveries.map(function(delivery) { return delivery.toDict(); });
 
                         return res.send(JSON.stringify(responseData));
                     });
                 });
 
+                app.get("/api/v1/webhooks/:id", function(req, res) {
+                    res.setHeader('Content-Type', 'application/json');
+
+                    self.db.NEMWebhookDelivery.findById(req.params.id, function(err, delivery) {
+                        if (err || !delivery)
+                            return res.status(404).send(JSON.stringify({ "status": "error", "message": "Webhook delivery not found." }));
+
+                        return res.send(JSON.stringify({ "status": "ok", "data": delivery.toDict() }));
+                    });
+                });
+
+                app.post("/api/v1/webhooks/:id/retry", function(req, res) {
+                    res.setHeader('Content-Type', 'application/json');
+
+                    self.db.NEMWebhookDelivery.findById(req.params.id, function(err, delivery) {
+                        if (err || !delivery)
+                            return res.status(404).send(JSON.stringify({ "status": "error", "message": "Webhook delivery not found." }));
+
+                        self.blockchain_.getWebhookDispatcher().retry(delivery, function(err, delivery) {
+                            if (err) return res.send(JSON.stringify({ "status": "error", "message": err }));
+
+                            return res.send(JSON.stringify({ "status": "ok", "data": delivery.toDict() }));
+                        });
+                    });
+                });
+
                 //XXX will be removed or secured
                 app.get("/api/v1/reset", function(req, res) {
                     res.setHeader('Content-Type', 'application/json');
@@ -129,6 +312,172 @@
                     self.db.NEMSignedTransaction.remove({});
                 });
             }
+
+            if (self.blockchain_.isSignBot()) {
+                // This NEMBot has "sign" mode enabled, which means it may be
+                // co-signing multisig transactions of the configured account.
+
+                app.get("/api/v1/limits", function(req, res) {
+                    res.setHeader('Content-Type', 'application/json');
+
+                    var limits = self.blockchain_.getMultisigCosignatory().getSpendingLimits();
+                    var accounts = self.blockchain_.getBotSignAccounts();
+                    var usages = {};
+
+                    if (req.query.account) {
+                        var account = self.blockchain_.getBotSignAccount(req.query.account);
+                        if (!account)
+                            return res.status(404).send(JSON.stringify({ "status": "error", "message": "Signing account not found." }));
+
+                        accounts = [account];
+                    }
+
+                    // usage is read account by account, indexed by multisig address
+                    var readUsage = function(i) {
+                        if (i >= accounts.length)
+                            return res.send(JSON.stringify({ "status": "ok", "data": usages }));
+
+                        limits.getUsage(accounts[i], function(err, usage) {
+                            if (err) return res.send(JSON.stringify({ "status": "error", "message": err }));
+
+                            usages[accounts[i].multisigAddress] = usage;
+                            return readUsage(i + 1);
+                        });
+                    };
+
+                    readUsage(0);
+                });
+
+                app.get("/api/v1/transactions", function(req, res) {
+                    res.setHeader('Content-Type', 'application/json');
+
+                    var filters = self.getSignedTransactionsFilters(req.query);
+                    if (typeof filters == "string")
+                        return res.status(400).send(JSON.stringify({ "status": "error", "message": filters }));
+
+                    var page = Math.max(1, parseInt(req.query.page) || 1);
+                    var limit = Math.min(500, Math.max(1, parseInt(req.query.limit) || 50));
+
+                    self.db.NEMSignedTransaction.count(filters.query, function(err, total) {
+                        if (err) return res.status(500).send(JSON.stringify({ "status": "error", "message": err }));
+
+                        var options = { sort: filters.sort, skip: (page - 1) * limit, limit: limit };
+                        self.db.NEMSignedTransaction.find(filters.query, null, options, function(err, signedTrxs) {
+                            if (err) return res.status(500).send(JSON.stringify({ "status": "error", "message": err }));
+
+                            var responseData = {};
+                            responseData.status = "ok";
+                            responseData.data = signedTrxs.map(function(signedTrx) { return signedTrx.toDict(); });
+                            responseData.pagination = {
+                                "page": page,
+                                "limit": limit,
+                                "total": total,
+                                "pages": Math.ceil(total / limit)
+                            };
+
+                            return res.send(JSON.stringify(responseData));
+                        });
+                    });
+                });
+
+                app.get("/api/v1/transactions/export", function(req, res) {
+                    var filters = self.getSignedTransactionsFilters(req.query);
+                    if (typeof filters == "string") {
+                        res.setHeader('Content-Type', 'application/json');
+                        return res.status(400).send(JSON.stringify({ "status": "error", "message": filters }));
+                    }
+
+                    self.db.NEMSignedTransaction.find(filters.query, null, { sort: filters.sort }, function(err, signedTrxs) {
+                        if (err) {
+                            res.setHeader('Content-Type', 'application/json');
+                            return res.status(500).send(JSON.stringify({ "status": "error", "message": err }));
+                        }
+
+                        var records = signedTrxs.map(function(signedTrx) { return signedTrx.toDict(); });
+
+                        if (req.query.format == "json") {
+                            res.setHeader('Content-Type', 'application/json');
+                            res.setHeader('Content-Disposition', 'attachment; filename="nembot-transactions.json"');
+                            return res.send(JSON.stringify(records));
+                        }
+
+                        res.setHeader('Content-Type', 'text/csv');
+                        res.setHeader('Content-Disposition', 'attachment; filename="nembot-transactions.csv"');
+                        return res.send(self.getSignedTransactionsCSV(records));
+                    });
+                });
+
+                app.get("/api/v1/multisig/pending", function(req, res) {
+                    res.setHeader('Content-Type', 'application/json');
+
+                    self.blockchain_.getMultisigCosignatory().getPendingTransactions(function(err, entries) {
+                        if (err) return res.status(500).send(JSON.stringify({ "status": "error", "message": err }));
+
+                        if (req.query.account) {
+                            var account = req.query.account.replace(/-/g, "").toUpperCase();
+                            entries = entries.filter(function(entry) { return entry.multisig === account; });
+                        }
+
+                        return res.send(JSON.stringify({ "status": "ok", "data": entries }));
+                    });
+                });
+
+                app.get("/api/v1/cosignatures", function(req, res) {
+                    res.setHeader('Content-Type', 'application/json');
+
+                    var query = { status: req.query.status ? req.query.status : "pending" };
+                    if (req.query.account) query.multisigXEM = req.query.account.replace(/-/g, "").toUpperCase();
+
+                    self.db.NEMPendingCosignature.find(query, null, { sort: { createdAt: -1 } }, function(err, entries) {
+                        if (err) return res.status(500).send(JSON.stringify({ "status": "error", "message": err }));
+
+                        var responseData = {};
+                        responseData.status = "ok";
+                        responseData.data = entries.map(function(pending) { return pending.toDict(); });
+
+                        return res.send(JSON.stringify(responseData));
+                    });
+                });
+
+                app.post("/api/v1/cosignatures/:hash/approve", function(req, res) {
+                    res.setHeader('Content-Type', 'application/json');
+
+                    self.db.NEMPendingCosignature.findOne({ transactionHash: req.params.hash }, function(err, pending) {
+                        if (err) return res.status(500).send(JSON.stringify({ "status": "error", "message": err }));
+
+                        if (!pending)
+                            return res.status(404).send(JSON.stringify({ "status": "error", "message": "Pending co-signature not found." }));
+
+                        // operator is the HTTP Basic Auth user when the API is protected
+                        var operator = req.user || "api";
+                        self.blockchain_.getMultisigCosignatory().approveCosignature(pending, operator, function(err, pending) {
+                            if (err) return res.status(409).send(JSON.stringify({ "status": "error", "message": err }));
+
+                            return res.send(JSON.stringify({ "status": "ok", "data": pending.toDict() }));
+                        });
+                    });
+                });
+
+                app.post("/api/v1/cosignatures/:hash/reject", function(req, res) {
+                    res.setHeader('Content-Type', 'application/json');
+
+                    var reason = req.body && req.body.reason ? req.body.reason : null;
+
+                    self.db.NEMPendingCosignature.findOne({ transactionHash: req.params.hash }, function(err, pending) {
+                        if (err) return res.status(500).send(JSON.stringify({ "status": "error", "message": err }));
+
+                        if (!pending)
+                            return res.status(404).send(JSON.stringify({ "status": "error", "message": "Pending co-signature not found." }));
+
+                        var operator = req.user || "api";
+                        self.blockchain_.getMultisigCosignatory().rejectCosignature(pending, operator, reason, function(err, pending) {
+                            if (err) return res.status(409).send(JSON.stringify({ "status": "error", "message": err }));
+
+                            return res.send(JSON.stringify({ "status": "ok", "data": pending.toDict() }));
+                        });
+                    });
+                });
+            }
         };
 
         /**
@@ -214,23 +563,37 @@
             var self = this,
                 backends_connected_ = {};
 
-            if (self.blockchain_.isReadBot()) {
-                // Start listening to NEM Blockchain INCOMING transactions.
-                // This bot must ALWAYS listen to incoming transactions, then decide
-                // whether those are relevant or not. Additionally, when a BACKEND
-                // connects to the socket.io websocket, it will be registered in the
-                // open payment channel for the given parameters.
-
-                self.configurePaymentProcessor();
+            if (self.blockchain_.isSignBot()) {
+                // an invalid signing policy must stop the bot before anything is co-signed.
+                self.blockchain_
+                    .getMultisigCosignatory()
+                    .getPolicy()
+                    .getPolicy(true);
             }
 
-            if (self.blockchain_.isSignBot()) {
-                // Start listening to NEM Blockchain UNCONFIRMED transactions.
-                // This bot must ALWAYS listen to unconfirmed transactions, then decide
-                // whether those are relevant FOR SIGNING or not.
+            // probe the configured NEM nodes first such that the modules
+            // connect to the best healthy node.
+            self.configureNodePool(function() {
+                if (self.blockchain_.isReadBot()) {
+                    // Start listening to NEM Blockchain INCOMING transactions.
+                    // This bot must ALWAYS listen to incoming transactions, then decide
+                    // whether those are relevant or not. Additionally, when a BACKEND
+                    // connects to the socket.io websocket, it will be registered in the
+                    // open payment channel for the given parameters.
+
+                    self.configurePaymentProcessor();
+                    self.configureWebhookDispatcher();
+                    self.configureMultisigAuditor();
+                }
 
-                self.configureMultisigCosignatory();
-            }
+                if (self.blockchain_.isSignBot()) {
+                    // Start listening to NEM Blockchain UNCONFIRMED transactions.
+                    // This bot must ALWAYS listen to unconfirmed transactions, then decide
+                    // whether those are relevant FOR SIGNING or not.
+
+                    self.configureMultisigCosignatory();
+                }
+            });
 
             io.sockets.on('connection', function(botSocket) {
                 logger.info("[BOT] [" + botSocket.id + "]", __line, 'nembot()');
@@ -240,12 +603,18 @@
                 // - Payment Processor: Listening to Payment Updates
                 //     - Payment Channels are database entries linking Blockchain transactions
                 //       with specific Payment Messages and Sender XEM addresses.
-                //     - Payment Channels entries' recipientXEM field will always contain the
+                //     - Payment Channels entries' recipientXEM field defaults to the
                 //       XEM address of this NEMBot (```config.bot.read.walletAddress```).
                 if (self.blockchain_.isReadBot()) {
                     self.configurePaymentChannelWebsocket(botSocket);
                 }
 
+                // NEMBot "sign" features:
+                // - Approval Queue: Operators approve or reject pending co-signatures.
+                if (self.blockchain_.isSignBot()) {
+                    self.configureCosignatureWebsocket(botSocket);
+                }
+
                 botSocket.on('nembot_disconnect', function() {
                     logger.info("[BOT] [" + botSocket.id + "]", __line, '~nembot()');
 
@@ -255,16 +624,50 @@
             });
         };
 
+        this.configureNodePool = function(callback) {
+            this.blockchain_
+                .getNodePool()
+                .start(callback);
+        };
+
         this.configurePaymentProcessor = function() {
             this.blockchain_
                 .getPaymentProcessor()
                 .connectBlockchainSocket();
+
+            this.blockchain_
+                .getPaymentProcessor()
+                .startExpiryScheduler();
+        };
+
+        this.configureWebhookDispatcher = function() {
+            this.blockchain_
+                .getWebhookDispatcher()
+                .start();
+        };
+
+        this.configureMultisigAuditor = function() {
+            this.blockchain_
+                .getMultisigAuditor()
+                .start();
         };
 
         this.configureMultisigCosignatory = function() {
+            // co-signatures saved by older versions must be found by recipient
+            this.db.NEMSignedTransaction.backfillDecodedFields(function(err, count) {
+                if (err)
+                    logger.error("[BOT] [SIGN-SOCKET] [ERROR]", __line, "Error updating NEMSignedTransaction: " + err);
+                else if (count > 0)
+                    logger.info("[BOT] [SIGN-SOCKET]", __line, "Decoded fields saved for " + count + " co-signed transactions.");
+            });
+
             this.blockchain_
                 .getMultisigCosignatory()
                 .connectBlockchainSocket();
+
+            this.blockchain_
+                .getMultisigCosignatory()
+                .startApprovalScheduler();
         };
 
         this.configureBlocksAuditor = function() {
@@ -277,6 +680,53 @@
                 .connectBlockchainSocket();
         };
 
+        /**
+         * Configure the socket.io events of the NEMPendingCosignature approval
+         * queue. Operators can approve or reject pending co-signatures with the
+         * `nembot_approve_cosignature` and `nembot_reject_cosignature` events.
+         *
+         * @param  {socket.io}  botSocket
+         * @return void
+         */
+        this.configureCosignatureWebsocket = function(botSocket) {
+            var self = this;
+
+            var decisionHandler = function(eventName, decide) {
+                botSocket.on(eventName, function(rawParams) {
+                    logger.info("[BOT] [" + botSocket.id + "]", __line, eventName + '(' + rawParams + ')');
+
+                    var params = null;
+                    try {
+                        params = JSON.parse(rawParams);
+                    } catch (e) {}
+
+                    if (!params || typeof params.hash != "string")
+                        return botSocket.emit("nembot_error", JSON.stringify({ "status": "error", "message": "Mandatory field `hash` is invalid." }));
+
+                    self.db.NEMPendingCosignature.findOne({ transactionHash: params.hash }, function(err, pending) {
+                        if (err || !pending)
+                            return botSocket.emit("nembot_error", JSON.stringify({ "status": "error", "message": "Pending co-signature not found." }));
+
+                        var operator = params.operator || botSocket.id;
+                        decide(pending, operator, params, function(err, pending) {
+                            if (err)
+                                return botSocket.emit("nembot_error", JSON.stringify({ "status": "error", "message": err }));
+
+                            // updates are broadcast with `nembot_cosignature_update`
+                        });
+                    });
+                });
+            };
+
+            decisionHandler("nembot_approve_cosignature", function(pending, operator, params, callback) {
+                self.blockchain_.getMultisigCosignatory().approveCosignature(pending, operator, callback);
+            });
+
+            decisionHandler("nembot_reject_cosignature", function(pending, operator, params, callback) {
+                self.blockchain_.getMultisigCosignatory().rejectCosignature(pending, operator, params.reason || null, callback);
+            });
+        };
+
         /**
          * This method should be called only if the NEMBot has "read" features enabled.
          *
@@ -294,18 +744,28 @@
             // When a payment channel is opened, we must initialize the nem websockets
             // listening to our Bot's accounts channels (/unconfirmed and /transactions for now)
             botSocket.on('nembot_open_payment_channel', function(channelOpts) {
-                //XXX validate input .sender, .recipient, .message, .amount
-
                 logger.info("[BOT] [" + botSocket.id + "]", __line, 'open_channel(' + channelOpts + ')');
 
-                var params = JSON.parse(channelOpts);
+                var params = null;
+                try {
+                    params = JSON.parse(channelOpts);
+                } catch (e) {}
+
+                var error = self.validateChannelParams(params);
+                if (error !== null) {
+                    logger.error("[BOT] [" + botSocket.id + "]", __line, "Invalid payment channel parameters: " + error);
+                    botSocket.emit("nembot_error", JSON.stringify({ "status": "error", "message": error }));
+                    return false;
+                }
 
                 var channelQuery = {
-                    "payerXEM": params.sender,
-                    "recipientXEM": params.recipient,
+                    "recipientXEM": (params.recipient || self.blockchain_.getBotReadWallet()).replace(/-/g, "").toUpperCase(),
                     "message": params.message
                 };
 
+                if (params.sender)
+                    channelQuery.payerXEM = params.sender.replace(/-/g, "").toUpperCase();
+
                 // join the socket IO room for the given payment channel message (invoice number)
                 botSocket.join(params.message);
 
@@ -318,27 +778,20 @@
                         paymentChannel.save(function(err, channel) {
                             self.blockchain_
                                 .getPaymentProcessor()
-                                .forwardPaymentUpdates(botSocket, channel, { duration: params.maxDuration });
+                                .forwardPaymentUpdates(botSocket, channel);
                         });
                     } else if (!err) {
                         // create new channel then LISTEN
-                        var paymentChannel = new self.db.NEMPaymentChannel({
-                            recipientXEM: params.recipient,
-                            payerXEM: params.sender,
-                            socketIds: [botSocket.id],
-                            message: params.message,
-                            amount: params.amount,
-                            amountPaid: 0,
-                            amountUnconfirmed: 0,
-                            status: "created",
-                            isPaid: false,
-                            createdAt: new Date().valueOf()
-                        });
+                        self.createPaymentChannel(params, [botSocket.id], function(err, paymentChannel) {
+                            if (err && err.code === 11000)
+                                return botSocket.emit("nembot_error", JSON.stringify({ "status": "error", "message": "A payment channel with message `" + params.message + "` already exists." }));
+
+                            if (err)
+                                return logger.error("[BOT] [" + botSocket.id + "]", __line, "NEMPaymentChannel model Error: " + err);
 
-                        paymentChannel.save(function(err, paymentChannel) {
                             self.blockchain_
                                 .getPaymentProcessor()
-                                .forwardPaymentUpdates(botSocket, paymentChannel, { duration: params.maxDuration });
+                                .forwardPaymentUpdates(botSocket, paymentChannel);
                         });
                     } else {
                         logger.error("[BOT] [" + botSocket.id + "]", __line, "NEMPaymentChannel model Error: " + err);
@@ -347,6 +800,214 @@
             });
         };
 
+        /**
+         * Read the NEMSignedTransaction filters of the transactions history
+         * API from the query parameters: `account`, `recipient`, `from`, `to`
+         * (timestamps or dates), `minAmount`, `maxAmount` (Micro XEM), `status`
+         * (signed, announced, failed, confirmed) and `sort` (prefix with `-` for
+         * descending order). All parameters must be strings.
+         *
+         * @param  {Object} params
+         * @return {Object|String}  `{query: Object, sort: Object}` or error message
+         */
+        this.getSignedTransactionsFilters = function(params) {
+            var self = this;
+            var query = {};
+
+            var readDate = function(value, isEndOfDay = false) {
+                var date = new Date(/^[0-9]+$/.test(value) ? parseInt(value) : value).valueOf();
+
+                // plain dates (e.g. ?to=2017-07-01) include the whole day (UTC).
+                if (isEndOfDay && /^[0-9]{4}-[0-9]{2}-[0-9]{2}$/.test(value))
+                    date += 24 * 60 * 60 * 1000 - 1;
+
+                return date;
+            };
+
+            // arrays and objects (e.g. ?status[$ne]=x) are never passed to the query
+            var fields = ["account", "recipient", "status", "from", "to", "minAmount", "maxAmount", "sort"];
+            for (var i = 0; i < fields.length; i++) {
+                if (params[fields[i]] !== undefined && typeof params[fields[i]] != "string")
+                    return "Field `" + fields[i] + "` must be a string.";
+            }
+
+            var statuses = ["signed", "announced", "confirmed", "failed"];
+            if (params.status && statuses.indexOf(params.status) === -1)
+                return "Field `status` must be one of: " + statuses.join(", ") + ".";
+
+            if (params.account)
+                query.multisigXEM = params.account.replace(/-/g, "").toUpperCase();
+
+            if (params.recipient)
+                query.recipientXEM = params.recipient.replace(/-/g, "").toUpperCase();
+
+            if (params.status)
+                query.status = params.status;
+
+            if (params.from || params.to) {
+                query.createdAt = {};
+
+                if (params.from) query.createdAt.$gte = readDate(params.from);
+                if (params.to) query.createdAt.$lte = readDate(params.to, true);
+
+                if ((params.from && isNaN(query.createdAt.$gte)) || (params.to && isNaN(query.createdAt.$lte)))
+                    return "Fields `from` and `to` must be timestamps or dates.";
+            }
+
+            if (params.minAmount || params.maxAmount) {
+                query.amountXEM = {};
+
+                if (params.minAmount) query.amountXEM.$gte = Number(params.minAmount);
+                if (params.maxAmount) query.amountXEM.$lte = Number(params.maxAmount);
+
+                if ((params.minAmount && isNaN(query.amountXEM.$gte)) || (params.maxAmount && isNaN(query.amountXEM.$lte)))
+                    return "Fields `minAmount` and `maxAmount` must be numbers.";
+            }
+
+            // sort=createdAt or sort=-createdAt (descending), defaults to newest first
+            var sortFields = ["createdAt", "amountXEM", "recipientXEM", "multisigXEM"];
+            var sortField = (params.sort || "-createdAt").replace(/^-/, "");
+
+            if (sortFields.indexOf(sortField) === -1)
+                return "Field `sort` must be one of: " + sortFields.join(", ") + ".";
+
+            var sort = {};
+            sort[sortField] = /^-/.test(params.sort || "-createdAt") ? -1 : 1;
+
+            return { "query": query, "sort": sort };
+        };
+
+        /**
+         * Format NEMSignedTransaction records (see toDict) as CSV.
+         *
+         * Text cells starting with `=`, `+`, `-` or `@` are prefixed with a
+         * single quote such that spreadsheets never evaluate transaction data
+         * (e.g. messages) as formulas.
+         *
+         * @param  {Array}  records
+         * @return {String}
+         */
+        this.getSignedTransactionsCSV = function(records) {
+            var escape = function(value) {
+                var str = value === undefined || value === null ? "" : String(value);
+
+                if (typeof value == "string" && /^[=+\-@\t\r]/.test(str))
+                    str = "'" + str;
+
+                return /[",\r\n]/.test(str) ? '"' + str.replace(/"/g, '""') + '"' : str;
+            };
+
+            var lines = ["date,hash,multisig,cosigner,type,recipient,amount,mosaics,message"];
+            for (var i = 0; i < records.length; i++) {
+                var record = records[i];
+                var mosaics = record.mosaics.map(function(mosaic) { return mosaic.slug + "=" + mosaic.quantity; }).join(" ");
+
+                lines.push([
+                    new Date(record.createdAt).toISOString(),
+                    record.hash,
+                    record.multisig,
+                    record.cosigner,
+                    record.type,
+                    record.recipient,
+                    record.amount,
+                    mosaics,
+                    record.message
+                ].map(escape).join(","));
+            }
+
+            return lines.join("\n") + "\n";
+        };
+
+        /**
+         * Validate the parameters used to open a payment channel, either
+         * with the socket.io event ```nembot_open_payment_channel``` or with
+         * the HTTP/JSON API.
+         *
+         * The ```recipient``` defaults to the Bot's read wallet address. The
+         * payment processor listens to the transactions of all recipients of
+         * open payment channels.
+         *
+         * @param  {Object} params
+         * @return {String|null}    Error message or `null` for valid parameters
+         */
+        this.validateChannelParams = function(params) {
+            var self = this;
+
+            if (!params || typeof params != "object")
+                return "Invalid payment channel parameters.";
+
+            if (typeof params.message != "string" || !params.message.length)
+                return "Mandatory field `message` is invalid.";
+
+            var amount = Number(params.amount);
+            if (isNaN(amount) || !isFinite(amount) || amount <= 0)
+                return "Mandatory field `amount` must be a positive number.";
+
+            if (params.sender && !self.blockchain_.isValidAddress(params.sender))
+                return "Field `sender` is not a valid " + self.blockchain_.getNetwork().label + " address.";
+
+            if (params.recipient && !self.blockchain_.isValidAddress(params.recipient))
+                return "Field `recipient` is not a valid " + self.blockchain_.getNetwork().label + " address.";
+
+            if (params.maxDuration !== undefined && !(parseInt(params.maxDuration) > 0))
+                return "Field `maxDuration` must be a positive number of Milliseconds.";
+
+            if (params.mosaic && !/^[a-z0-9][a-z0-9._-]*:[a-z0-9][a-z0-9'_ -]*$/i.test(params.mosaic))
+                return "Field `mosaic` must be a mosaic name in the format namespace:mosaic.";
+
+            if (params.notifyUrl && !self.blockchain_.getWebhookDispatcher().isValidUrl(params.notifyUrl))
+                return "Field `notifyUrl` must be a HTTP or HTTPS URL.";
+
+            return null;
+        };
+
+        /**
+         * Create a new payment channel with the given (validated) parameters.
+         *
+         * The ```mosaic``` parameter defaults to `nem:xem`, amounts are always
+         * expressed in the smallest unit of the mosaic (micro XEM for `nem:xem`).
+         *
+         * @param  {Object}     params
+         * @param  {Array}      socketIds
+         * @param  {Function}   callback
+         * @return void
+         */
+        this.createPaymentChannel = function(params, socketIds, callback) {
+            var self = this;
+            var recipient = params.recipient ? params.recipient : self.blockchain_.getBotReadWallet();
+            var mosaicSlug = params.mosaic ? params.mosaic : "nem:xem";
+
+            // payment channels expire after `maxDuration` or bot.read.duration
+            var duration = parseInt(params.maxDuration || self.config_.bot.read.duration);
+            if (isNaN(duration) || duration <= 0)
+                duration = 15 * 60 * 1000;
+
+            // the mosaic must exist on the blockchain for the channel to be opened
+            self.blockchain_.getMosaicDivisibility(mosaicSlug, function(err, divisibility) {
+                if (err) return callback(err);
+
+                var paymentChannel = new self.db.NEMPaymentChannel({
+                    recipientXEM: recipient.replace(/-/g, "").toUpperCase(),
+                    payerXEM: params.sender ? params.sender.replace(/-/g, "").toUpperCase() : undefined,
+                    socketIds: socketIds,
+                    notifyUrl: params.notifyUrl,
+                    message: params.message,
+                    amount: Number(params.amount),
+                    amountPaid: 0,
+                    amountUnconfirmed: 0,
+                    mosaicSlug: mosaicSlug,
+                    mosaicDivisibility: divisibility,
+                    status: "created",
+                    statusHistory: [{ status: "created", previousStatus: null, createdAt: new Date().valueOf() }],
+                    isPaid: false,
+                    expiresAt: new Date().valueOf() + duration,
+                    createdAt: new Date().valueOf()
+                });
+
+                paymentChannel.save(callback);
+            });
+        };
+
         var self = this; {
             // new instances automatically init the server and endpoints
             self.initBotAPI(self.config_);